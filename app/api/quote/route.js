@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server';
+import { computeQuote, validateQuoteInput, quoteInputFrom, quoteToJSON } from '../../../lib/quote.mjs';
+import { resolveRateTables, todayISO } from '../../../lib/rates.mjs';
+
+/**
+ * POST /api/quote – the Calculated card without the page.
+ *
+ * Body: the Box Setup fields ({ units, L, W, H, boardMM, divisorId, actualW, battery, country,
+ * pricingMode, rates, qty, unitWeight, unitsPerBox, priceUSD, productCostUSD, variableFeePct,
+ * refundFeePct, postcode, shipDate }). Only L/W/H are required; the rest default like the form.
+ * Prices with the built-in rate tables in force on shipDate (default: today).
+ *
+ * 200 → quoteToJSON(); an unsupported country/line or a lane limit is reported in the body
+ *       (sheetUnavailable / laneViolations / shippable), not as an error.
+ * 400 → { error: 'invalid_json' | 'invalid_input', errors: [{ field, message }] }
+ */
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (e) {
+    return NextResponse.json({ error: 'invalid_json', errors: [{ field: '', message: 'Body is not valid JSON' }] }, { status: 400 });
+  }
+  const errors = validateQuoteInput(body);
+  if (errors.length) return NextResponse.json({ error: 'invalid_input', errors }, { status: 400 });
+
+  const input = quoteInputFrom(body);
+  if (!input.shipDate) input.shipDate = todayISO(); // peak-season windows, like the page
+  const tables = resolveRateTables({}, input.shipDate);
+  return NextResponse.json(quoteToJSON(computeQuote(input, { tables })));
+}
@@ -1,51 +1,47 @@
 'use client';
 import './globals.css';
 import React, { useMemo, useState, useEffect, useRef } from "react";
+import { parseCSV, rowsToCSV } from '../lib/csv.mjs';
+import { BOARD_GRADES, DEFAULT_BOARD_GRADE, findBoardGrade } from '../lib/board.mjs';
+import { buildBoxModel, projectBoxModel } from '../lib/boxModel.mjs';
+import { dielineToSVG, dielineToDXF, dielineToPDF } from '../lib/dieline.mjs';
+import { FEE_PROFILES, DEFAULT_FEE_PROFILE, findFeeProfile } from '../lib/fees.mjs';
+import {
+  STYLE_OPTIONS, ABS_FALLBACK_DIVISOR, normalizeUnits, boardInUnits, getDivisorListFor, FIT_MAX_COUNT, fitProductsToBox,
+} from '../lib/geometry.mjs';
+import { parsePriceSheet, mergeImportedTable, diffRateTable } from '../lib/priceSheet.mjs';
+import {
+  CARRIER_PROFILES, quoteCarrierProfile, compareSetups, computeQuote, rateVersionOf, derivedFromQuote,
+  adviseBracketSavings,
+} from '../lib/quote.mjs';
+import {
+  LINE_NO_BATTERY, LINE_BATTERY, YUNEXPRESS_TABLES, DEFAULT_COUNTRY, DEFAULT_RATES, lineNameFor,
+  laneLimitsOf, LANE_LIMIT_FIELDS, SURCHARGE_TYPES, newSurchargeRule, todayISO, tableVersionsFor, pickEffectiveTable,
+  resolveRateTables, migrateStoredRateTables, shippingCostCurve, tableHasRates,
+} from '../lib/rates.mjs';
+import {
+  SETUP_SCHEMA_VERSION, newRowId, setupsFromCSV, mergeSavedRows, setupsFromJSON, migrateStoredSetups, savedSetupsToJSON,
+  setupToShareParams, setupFromShareParams, workspaceToJSON, workspaceFromJSON, normalizeTags, SAVED_SORTS, filterSavedRows, sortSavedRows, duplicateSetup,
+} from '../lib/setups.mjs';
+import {
+  openWorkspaceDB, listWorkspaces, createWorkspace, renameWorkspace, deleteWorkspace, loadWorkspaceRows,
+  saveWorkspaceRows, describeStorageError,
+} from '../lib/workspaces.mjs';
 
 /**
- * Packaging Box Designer (single-file JSX, WebGL‑safe + dynamic imports)
+ * Packaging Box Designer – the whole UI as one Client Component. R3F/Drei and SheetJS are
+ * imported on demand, with an SVG preview when WebGL is missing.
  *
- * This version shows BOTH shipping options:
- *  - Volumetric basis (dimensional weight)
- *  - Actual basis (scale weight)
- * And keeps totals on CHARGEABLE = max(volumetric, actual).
- *
- * Pricing is wired to the YunExpress US sheet (CNY):
- * - Line types: No Battery vs Built-in Battery
- * - Weight brackets: fee per kg + item fee per parcel
- * - Min. billed weight = 0.03 kg, rounding step = 0.001 kg
- * - Country selector (USA inline)
- * - Pricing mode: Sheet (US) or Manual per-kg (fallback)
- * - Breakdown shown for each basis
- * - Download: JSON (current), CSV (saved), PNG/SVG (preview)
- *
- * NOTE: Extend the inline table to add more countries/lanes if needed.
+ * The form describes a box and a shipment; computeQuote (lib/quote.mjs) prices it on the
+ * chargeable weight = max(volumetric, actual) with the YunExpress sheet in force on the ship
+ * date, or with manual per-kg rates. Pricing, geometry, dieline and saved-setup logic live in
+ * lib/ (shared with POST /api/quote and scripts/); this file holds state, layout and browser
+ * I/O – downloads, imports, the share link and IndexedDB workspaces.
  */
 
 // -----------------------------
 // Options & Constants
 // -----------------------------
-const STYLE_OPTIONS = [
-  { id: "ttm", name: "Tuck Top Mailer (TTM)", note: "Common mailer with hinged lid" },
-  { id: "rett", name: "Roll End Tuck Top (RETT)", note: "Sturdy mailer, roll-over sides" },
-  { id: "reft", name: "Roll End Front Tuck (REFT)", note: "Front locking tabs" },
-  { id: "rsc", name: "Regular Slotted Carton (RSC)", note: "Standard shipping carton" },
-  { id: "rigid", name: "Rigid Mailer / Envelope", note: "Flat document mailer" },
-];
-
-const DIVISORS = {
-  metric: [
-    { id: "cm5000", label: "Express (5000 cm³/kg)", divisor: 5000, vwUnit: "kg" },
-    { id: "cm6000", label: "Some carriers (6000 cm³/kg)", divisor: 6000, vwUnit: "kg" },
-    { id: "cm8000", label: "Economy (8000 cm³/kg)", divisor: 8000, vwUnit: "kg" },
-    { id: "cm9000", label: "Economy (9000 cm³/kg)", divisor: 9000, vwUnit: "kg" },
-    { id: "cm4000", label: "Bulky freight (4000 cm³/kg)", divisor: 4000, vwUnit: "kg" },
-  ],
-  imperial: [
-    { id: "in139", label: "UPS/FedEx (139 in³/lb)", divisor: 139, vwUnit: "lb" },
-    { id: "in166", label: "Alt/older (166 in³/lb)", divisor: 166, vwUnit: "lb" },
-  ],
-};
 
 const PRESETS_CM = [
   { name: "Mailer – Small", L: 20, W: 15, H: 7 },
@@ -53,104 +49,69 @@ const PRESETS_CM = [
   { name: "Mailer – Large", L: 40, W: 30, H: 12 },
 ];
 
-const ABS_FALLBACK_DIVISOR = { id: "cm5000", label: "Express (5000 cm³/kg)", divisor: 5000, vwUnit: "kg" };
-const SAVED_KEY = "box_setups_v3"; // bump schema version
+// Saved setups live in IndexedDB workspaces (lib/workspaces.mjs); these localStorage keys are
+// only read once, to seed the first workspace.
+const SAVED_KEY = "box_setups_v4";
+const LEGACY_SAVED_KEYS = ["box_setups_v3", "box_setups_v2", "box_setups_v1"]; // newest first
+const ACTIVE_WORKSPACE_KEY = "box_active_workspace";
 
 // -----------------------------
-// YunExpress US Sheet (inline) – derived from your XLSX
-// Units: CNY, weights in kg
+// Product → box fitting (inverse of computeBoxCalculations' board allowance)
 // -----------------------------
-const YUNEXPRESS_US_TABLE = {
-  country: 'United States',
-  minWeightKg: 0.03,
-  roundStepKg: 0.001,
-  lines: {
-    'No Battery': [
-      { lo: 0.00, hi: 0.10, feePerKg: 102, itemFee: 24 },
-      { lo: 0.10, hi: 0.20, feePerKg: 96,  itemFee: 22 },
-      { lo: 0.20, hi: 0.30, feePerKg: 94,  itemFee: 20 },
-      { lo: 0.30, hi: 0.45, feePerKg: 93,  itemFee: 20 },
-      { lo: 0.45, hi: 0.70, feePerKg: 92,  itemFee: 20 },
-      { lo: 0.70, hi: 2.00, feePerKg: 91,  itemFee: 13 },
-      { lo: 2.00, hi: 30.00, feePerKg: 85, itemFee: 13 },
-    ],
-    'Built-in Battery': [
-      { lo: 0.00, hi: 0.10, feePerKg: 108, itemFee: 24 },
-      { lo: 0.10, hi: 0.20, feePerKg: 101, itemFee: 22 },
-      { lo: 0.20, hi: 0.30, feePerKg: 102, itemFee: 20 },
-      { lo: 0.30, hi: 0.45, feePerKg: 101, itemFee: 20 },
-      { lo: 0.45, hi: 0.70, feePerKg: 98,  itemFee: 20 },
-      { lo: 0.70, hi: 2.00, feePerKg: 97,  itemFee: 13 },
-      { lo: 2.00, hi: 30.00, feePerKg: 97, itemFee: 13 },
-    ],
-  },
-};
-
-// Default editable fallback (Manual per-kg)
-const DEFAULT_RATES = {
-  perKgCNY: 50,              // price per started kg (ceil weight)
-  minChargeCNY: 0,
-  cnyPerUSD: 7.20,
-};
-
-// -----------------------------
-// Utilities
-// -----------------------------
-function clampNumber(n, min, max) {
-  const x = Number(n);
-  if (!Number.isFinite(x)) return min;
-  return Math.min(max, Math.max(min, x));
-}
-
-function normalizeUnits(units) {
-  return units === "in" ? "in" : "cm"; // default to cm on any unexpected value
-}
-
-function getDivisorListFor(units) {
-  const u = normalizeUnits(units);
-  return u === "in" ? DIVISORS.imperial : DIVISORS.metric;
-}
-
-function safeGetDivisor(units, divisorId) {
-  const list = getDivisorListFor(units);
-  if (!Array.isArray(list) || list.length === 0) return ABS_FALLBACK_DIVISOR;
-  const found = list.find((d) => d && d.id === divisorId);
-  return found || list[0] || ABS_FALLBACK_DIVISOR;
-}
-
-function safeDivisorNumber(divisorObj, units) {
-  const d = Number(divisorObj && divisorObj.divisor);
-  if (Number.isFinite(d) && d > 0) return d;
-  return normalizeUnits(units) === "in" ? 139 : 5000;
-}
-
-function lbToKg(lb) { return lb * 0.45359237; }
-
-function useBoxCalculations({ L, W, H, units, boardMM, divisor, actualWeight }) {
-  const u = normalizeUnits(units);
-  // Convert board thickness to same unit as dims
-  const board = u === "cm" ? boardMM / 10 : boardMM / 25.4; // cm or in
 
-  const outer = { L, W, H };
-  const inner = {
-    L: Math.max(0, L - 2 * board),
-    W: Math.max(0, W - 2 * board),
-    H: Math.max(0, H - 2 * board),
-  };
-
-  const volume = L * W * H; // cm^3 or in^3
-  const innerVolume = inner.L * inner.W * inner.H;
-
-  const divisorSafe = Math.max(1, Number(divisor) || 1);
-  const volWeight = volume / divisorSafe; // kg or lb depending on profile
-
-  // Chargeable weight: max(actual, volumetric). If actualWeight is missing, just use volumetric.
-  const chargeable = actualWeight > 0 ? Math.max(actualWeight, volWeight) : volWeight;
-
-  // Surface area estimate for material (outer). 2(LW + LH + WH)
-  const surfaceArea = 2 * (L * W + L * H + W * H);
-
-  return { outer, inner, volume, innerVolume, volWeight, chargeable, surfaceArea };
+function ProductFitPanel({ units, boardMM, quoteInput, tables, onUse }) {
+  const [open, setOpen] = useState(false);
+  const [product, setProduct] = useState({ L: 10, W: 8, H: 4 });
+  const [count, setCount] = useState(1);
+  const [padding, setPadding] = useState(0.5);
+  const [gap, setGap] = useState(0);
+  const [upright, setUpright] = useState(false);
+  const dimUnit = normalizeUnits(units);
+  const candidates = useMemo(() => (open ? fitProductsToBox({ product, count, padding, gap, upright, units, boardMM, styleId: quoteInput.styleId, limit: 3 }) : []),
+    [open, product, count, padding, gap, upright, units, boardMM, quoteInput.styleId]);
+  const input = "w-full rounded-lg border border-slate-300 px-2 py-1";
+  return (
+    <div className="mt-4 rounded-2xl border border-slate-200 p-3 text-xs">
+      <button onClick={() => setOpen((o) => !o)} className="flex w-full items-center justify-between font-medium">
+        <span>Fit box to product</span><span className="text-slate-400">{open ? '▴' : '▾'}</span>
+      </button>
+      {open && (
+        <div className="mt-2">
+          <div className="grid grid-cols-3 gap-2">
+            {['L', 'W', 'H'].map((k) => (
+              <label key={k}><div className="text-slate-500">Product {k} ({dimUnit})</div><input type="number" value={product[k]} onChange={(e) => setProduct({ ...product, [k]: e.target.value })} className={input} min={0} step="0.1" /></label>
+            ))}
+            <label><div className="text-slate-500">Count</div><input type="number" value={count} onChange={(e) => setCount(e.target.value)} className={input} min={1} max={FIT_MAX_COUNT} step={1} /></label>
+            <label><div className="text-slate-500">Padding ({dimUnit}/side)</div><input type="number" value={padding} onChange={(e) => setPadding(e.target.value)} className={input} min={0} step="0.1" /></label>
+            <label><div className="text-slate-500">Gap between ({dimUnit})</div><input type="number" value={gap} onChange={(e) => setGap(e.target.value)} className={input} min={0} step="0.1" /></label>
+          </div>
+          <label className="mt-2 flex items-center gap-1"><input type="checkbox" checked={upright} onChange={(e) => setUpright(e.target.checked)} /> Keep product upright (H stays vertical)</label>
+          {candidates.length === 0 ? (
+            <div className="mt-2 text-slate-500">Enter product dimensions to get box sizes.</div>
+          ) : (
+            <ul className="mt-2 divide-y divide-slate-100">
+              {candidates.map((c) => {
+                const q = computeQuote({ ...quoteInput, ...c.outer }, { tables });
+                return (
+                  <li key={`${c.outer.L}x${c.outer.W}x${c.outer.H}`} className="flex items-center justify-between gap-2 py-1">
+                    <div>
+                      <div className="font-semibold">{c.outer.L} × {c.outer.W} × {c.outer.H} {dimUnit} outer</div>
+                      <div className="text-slate-500">
+                        {c.grid.join('×')} of {c.orientation.map((v) => Number(v).toFixed(1)).join('×')}{c.spare ? ` · ${c.spare} spare slot${c.spare === 1 ? '' : 's'}` : ''}
+                        {' '}· inner {c.inner.L.toFixed(1)}×{c.inner.W.toFixed(1)}×{c.inner.H.toFixed(1)}
+                        {' '}· {q.shippable ? `${q.shippingCNY.toFixed(2)} CNY` : 'not shippable'}
+                      </div>
+                    </div>
+                    <button onClick={() => onUse(c.outer)} className="rounded-lg border border-slate-300 px-2 py-1 hover:bg-slate-50">Use</button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
 }
 
 function ErrorBanner({ message }) {
@@ -208,63 +169,205 @@ function useR3FLibs(enable) {
   return libs; // { fiber, drei } | null
 }
 
+// -----------------------------
+// Open/close fold (0 = closed, 1 = open) + animation
+// -----------------------------
+function useFoldAnimation() {
+  const [fold, setFoldState] = useState(0);
+  const [target, setTarget] = useState(null); // 0 | 1 while animating
+  const foldRef = useRef(0);
+  foldRef.current = fold;
+  useEffect(() => {
+    if (target === null) return undefined;
+    const from = foldRef.current;
+    const duration = 1200 * Math.abs(target - from);
+    const start = performance.now();
+    let raf = 0;
+    const step = (now) => {
+      const k = duration > 0 ? Math.min(1, (now - start) / duration) : 1;
+      const eased = k < 0.5 ? 2 * k * k : 1 - 2 * (1 - k) * (1 - k);
+      setFoldState(from + (target - from) * eased);
+      if (k < 1) raf = requestAnimationFrame(step);
+      else setTarget(null);
+    };
+    raf = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(raf);
+  }, [target]);
+  const setFold = (v) => { setTarget(null); setFoldState(Math.min(1, Math.max(0, v))); };
+  const toggle = () => setTarget(foldRef.current > 0.5 ? 0 : 1);
+  return { fold, setFold, toggle, animating: target !== null };
+}
+
 // -----------------------------
 // SVG Isometric Fallback (no WebGL required)
 // -----------------------------
-function IsoBoxSVG({ L, W, H, styleId }) {
-  const iso = (x, y, z) => { const X = (x - z) * 0.8660254037844386; const Y = y + (x + z) * 0.5; return [X, -Y]; };
+const BOX_KIND_COLORS = { base: [220, 215, 242], wall: [238, 234, 251], roll: [214, 208, 240], lid: [210, 203, 237], tuck: [201, 192, 232], flap: [226, 220, 246] };
+
+function IsoBoxSVG({ L, W, H, styleId, board, fold }) {
   const data = useMemo(() => {
-    const c = { a: [0,0,0], b: [L,0,0], c: [L,H,0], d: [0,H,0], e: [0,0,W], f: [L,0,W], g: [L,H,W], h: [0,H,W] };
-    const p = {}; Object.keys(c).forEach((k) => { const [x,y] = iso(...c[k]); p[k] = { x, y }; });
-    const vals = Object.values(p);
-    const minX = Math.min(...vals.map(v=>v.x)); const maxX = Math.max(...vals.map(v=>v.x));
-    const minY = Math.min(...vals.map(v=>v.y)); const maxY = Math.max(...vals.map(v=>v.y));
-    return { p, minX, maxX, minY, maxY };
-  }, [L,W,H]);
+    const faces = projectBoxModel(buildBoxModel({ styleId, L, W, H, board, open: fold }));
+    const pts = faces.flatMap((f) => f.points);
+    const minX = Math.min(...pts.map((p) => p[0])); const maxX = Math.max(...pts.map((p) => p[0]));
+    const minY = Math.min(...pts.map((p) => p[1])); const maxY = Math.max(...pts.map((p) => p[1]));
+    return { faces, minX, maxX, minY, maxY };
+  }, [L, W, H, styleId, board, fold]);
   const pad = 10, width = 420, height = 300;
   const scale = Math.min((width-2*pad)/Math.max(1e-6, data.maxX-data.minX), (height-2*pad)/Math.max(1e-6, data.maxY-data.minY));
   const tx = -data.minX*scale+pad, ty=-data.minY*scale+pad;
-  const P = (k) => { const v = data.p[k]; return `${(v.x*scale+tx).toFixed(2)},${(v.y*scale+ty).toFixed(2)}`; };
-  const top = `${P('d')} ${P('c')} ${P('g')} ${P('h')}`; const side = `${P('a')} ${P('d')} ${P('h')} ${P('e')}`; const front = `${P('a')} ${P('b')} ${P('c')} ${P('d')}`;
-  const hasLid = styleId === 'ttm' || styleId === 'rett' || styleId === 'reft';
+  const P = (points) => points.map(([x, y]) => `${(x*scale+tx).toFixed(2)},${(y*scale+ty).toFixed(2)}`).join(' ');
+  const fill = (f) => { const k = 0.82 + 0.18 * f.light; return `rgb(${BOX_KIND_COLORS[f.kind].map((c) => Math.round(c * k)).join(',')})`; };
   return (
     <svg viewBox={`0 0 ${width} ${height}`} width="100%" height="100%" role="img" aria-label="Isometric box preview">
       <defs><filter id="shadow" x="-20%" y="-20%" width="140%" height="140%"><feDropShadow dx="0" dy="2" stdDeviation="2" floodOpacity="0.15" /></filter></defs>
-      <g filter="url(#shadow)">
-        <polygon points={side} fill="#DCD7F2" stroke="#A8A3C8" strokeWidth="1" />
-        <polygon points={front} fill="#EEEAFB" stroke="#B7B2D3" strokeWidth="1" />
-        <polygon points={top} fill="#E9E7F7" stroke="#B7B2D3" strokeWidth="1" />
-        {hasLid && (<polygon points={top} fill="rgba(137,120,217,0.12)" stroke="none" />)}
+      <g filter="url(#shadow)" strokeLinejoin="round">
+        {data.faces.map((f) => (<polygon key={f.id} points={P(f.points)} fill={fill(f)} stroke="#8E88B5" strokeWidth="0.8" />))}
       </g>
-      <polyline points={`${P('a')} ${P('b')} ${P('c')} ${P('d')} ${P('a')}`} fill="none" stroke="#8E88B5" strokeWidth="1.2" />
-      <polyline points={`${P('a')} ${P('e')} ${P('h')} ${P('d')}`} fill="none" stroke="#8E88B5" strokeWidth="1.2" />
-      <polyline points={`${P('b')} ${P('f')} ${P('g')} ${P('c')}`} fill="none" stroke="#8E88B5" strokeWidth="1.2" />
     </svg>
   );
 }
 
+// -----------------------------
+// Shipping cost vs weight (SVG) – bracket steps + the current parcel
+// -----------------------------
+const CHART_RANGES_KG = [2, 5, 10, 30];
+
+function CostWeightChart({ curves, markers, maxKg, onRange }) {
+  const [hoverKg, setHoverKg] = useState(null);
+  const width = 560, height = 240, padL = 44, padR = 12, padT = 10, padB = 28;
+  const maxCNY = Math.max(1, ...curves.flatMap((c) => c.points.map((p) => p.totalCNY || 0)));
+  const x = (kg) => padL + (kg / maxKg) * (width - padL - padR);
+  const y = (cny) => height - padB - (cny / maxCNY) * (height - padT - padB);
+  // One path per curve; a null price (no lane) lifts the pen
+  const pathOf = (points) => {
+    let d = ''; let pen = false;
+    for (const p of points) {
+      if (p.totalCNY === null) { pen = false; continue; }
+      d += `${pen ? 'L' : 'M'}${x(p.kg).toFixed(1)},${y(p.totalCNY).toFixed(1)} `;
+      pen = true;
+    }
+    return d;
+  };
+  const nearest = (points, kg) => points.reduce((best, p) => (Math.abs(p.kg - kg) < Math.abs(best.kg - kg) ? p : best), points[0]);
+  const onMove = (e) => {
+    const box = e.currentTarget.getBoundingClientRect();
+    const kg = ((e.clientX - box.left) / box.width * width - padL) / (width - padL - padR) * maxKg;
+    setHoverKg(kg > 0 && kg <= maxKg ? kg : null);
+  };
+  const ticksKg = Array.from({ length: 6 }, (_, i) => (maxKg * i) / 5);
+  const ticksCNY = Array.from({ length: 5 }, (_, i) => (maxCNY * i) / 4);
+  const hover = hoverKg === null ? [] : curves.map((c) => ({ ...c, point: nearest(c.points, hoverKg) }));
+  return (
+    <div className="rounded-xl border border-slate-200 bg-white p-2">
+      <div className="mb-1 flex flex-wrap items-center justify-between gap-2 text-xs">
+        <div className="text-slate-500">Shipping cost vs chargeable weight (CNY)</div>
+        <div className="flex gap-1">
+          {CHART_RANGES_KG.map((r) => (
+            <button key={r} onClick={() => onRange(r)} className={`rounded-lg border px-2 py-0.5 ${r === maxKg ? 'border-slate-900 bg-slate-900 text-white' : 'border-slate-300 hover:bg-slate-50'}`}>0–{r} kg</button>
+          ))}
+        </div>
+      </div>
+      <svg viewBox={`0 0 ${width} ${height}`} width="100%" role="img" aria-label="Shipping cost by weight" onMouseMove={onMove} onMouseLeave={() => setHoverKg(null)}>
+        {ticksCNY.map((t) => (
+          <g key={`y${t}`}>
+            <line x1={padL} x2={width - padR} y1={y(t)} y2={y(t)} stroke="#E2E8F0" strokeWidth="1" />
+            <text x={padL - 4} y={y(t) + 3} fontSize="9" textAnchor="end" fill="#64748B">{t.toFixed(0)}</text>
+          </g>
+        ))}
+        {ticksKg.map((t) => (
+          <text key={`x${t}`} x={x(t)} y={height - padB + 12} fontSize="9" textAnchor="middle" fill="#64748B">{Number(t.toFixed(2))}</text>
+        ))}
+        <text x={width - padR} y={height - 4} fontSize="9" textAnchor="end" fill="#64748B">kg</text>
+        {curves.map((c) => (<path key={c.id} d={pathOf(c.points)} fill="none" stroke={c.color} strokeWidth={c.active ? 2 : 1.2} strokeDasharray={c.active ? undefined : '4 3'} />))}
+        {markers.filter((m) => m.kg > 0 && m.kg <= maxKg && m.totalCNY !== null).map((m) => (
+          <g key={m.id}>
+            <line x1={x(m.kg)} x2={x(m.kg)} y1={padT} y2={height - padB} stroke={m.color} strokeWidth="1" strokeDasharray="2 2" />
+            <circle cx={x(m.kg)} cy={y(m.totalCNY)} r="4" fill={m.color} stroke="#fff" strokeWidth="1.5" />
+          </g>
+        ))}
+        {hoverKg !== null && <line x1={x(hoverKg)} x2={x(hoverKg)} y1={padT} y2={height - padB} stroke="#94A3B8" strokeWidth="1" />}
+      </svg>
+      <div className="flex flex-wrap gap-3 text-[11px] text-slate-600">
+        {curves.map((c) => (<span key={c.id}><span className="mr-1 inline-block h-0.5 w-4 align-middle" style={{ background: c.color }} />{c.label}</span>))}
+        {markers.map((m) => (
+          <span key={m.id}>
+            <span className="mr-1 inline-block h-2 w-2 rounded-full align-middle" style={{ background: m.color }} />
+            {m.label} {m.kg.toFixed(3)} kg{m.kg > maxKg ? ' (off chart)' : ''}
+          </span>
+        ))}
+      </div>
+      <div className="mt-1 min-h-[1.25rem] text-[11px] text-slate-600">
+        {hover.length > 0 ? (
+          <>
+            <span className="font-medium">{hover[0].point.kg.toFixed(3)} kg:</span>
+            {hover.map((h) => (
+              <span key={h.id} className="ml-2">
+                {h.label} {h.point.totalCNY === null ? 'not offered' : `${h.point.totalCNY.toFixed(2)} CNY · ${(h.point.totalCNY / h.point.kg).toFixed(1)} CNY/kg`}
+              </span>
+            ))}
+          </>
+        ) : 'Hover the chart for the price and effective CNY/kg at any weight.'}
+      </div>
+    </div>
+  );
+}
+
+// -----------------------------
+// Dieline – flat blank of the selected style (lib/dieline.mjs), exported at 1:1
+// -----------------------------
+function DielinePanel({ dieline, styleName, fileBase }) {
+  const pad = 10;
+  const vb = `${-pad} ${-pad} ${dieline.widthMM + 2 * pad} ${dieline.heightMM + 2 * pad}`;
+  const stroke = Math.max(0.5, Math.max(dieline.widthMM, dieline.heightMM) / 400); // ~1px at preview size
+  const font = Math.max(6, Math.min(dieline.widthMM, dieline.heightMM) / 30);
+  const title = `${styleName} - blank ${dieline.widthMM.toFixed(0)} x ${dieline.heightMM.toFixed(0)} mm (1:1)`;
+  return (
+    <div className="rounded-3xl border border-slate-200 bg-white p-4 shadow-sm">
+      <div className="mb-2 flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <div className="text-sm font-medium">Dieline</div>
+          <div className="text-xs text-slate-500">
+            Blank {dieline.widthMM.toFixed(0)} × {dieline.heightMM.toFixed(0)} mm · cut {(dieline.cutLengthMM / 1000).toFixed(2)} m · crease {(dieline.creaseLengthMM / 1000).toFixed(2)} m
+          </div>
+        </div>
+        <div className="flex gap-2 text-xs">
+          <button onClick={() => downloadBlob(`${fileBase}.svg`, 'image/svg+xml', dielineToSVG(dieline))} className="rounded-xl border border-slate-300 px-3 py-1.5 hover:bg-slate-50">SVG</button>
+          <button onClick={() => downloadBlob(`${fileBase}.dxf`, 'application/dxf', dielineToDXF(dieline))} className="rounded-xl border border-slate-300 px-3 py-1.5 hover:bg-slate-50">DXF</button>
+          <button onClick={() => downloadBlob(`${fileBase}.pdf`, 'application/pdf', dielineToPDF(dieline, { title }))} className="rounded-xl border border-slate-300 px-3 py-1.5 hover:bg-slate-50">PDF</button>
+        </div>
+      </div>
+      <svg viewBox={vb} width="100%" className="max-h-[420px]" role="img" aria-label={`Dieline for ${styleName}`}>
+        <g fill="none" strokeWidth={stroke}>
+          {dieline.cuts.map(([a, b], i) => (<line key={`c${i}`} x1={a[0]} y1={a[1]} x2={b[0]} y2={b[1]} stroke="#E11D48" />))}
+          {dieline.creases.map(([a, b], i) => (<line key={`k${i}`} x1={a[0]} y1={a[1]} x2={b[0]} y2={b[1]} stroke="#2563EB" strokeDasharray={`${stroke * 4} ${stroke * 3}`} />))}
+        </g>
+        {dieline.labels.map((l, i) => (<text key={i} x={l.x} y={l.y} fontSize={font} textAnchor="middle" dominantBaseline="middle" fill="#94A3B8">{l.text}</text>))}
+      </svg>
+      <div className="mt-1 text-[11px] text-slate-500">Red = cut, dashed blue = crease. Panels are sized crease-to-crease (outer size minus one board thickness); tab and flap proportions are generic – have your supplier confirm before production.</div>
+    </div>
+  );
+}
+
 // -----------------------------
 // 3D Component (only if libs + WebGL available)
 // -----------------------------
-function R3FBox({ L, W, H, styleId, libs }) {
+const BOX_KIND_HEX = { base: '#dcd7f2', wall: '#e6e1f4', roll: '#d6d0f0', lid: '#d2cbed', tuck: '#c9c0e8', flap: '#e2dcf6' };
+
+function R3FBox({ L, W, H, styleId, board, fold, libs }) {
+  const slabs = useMemo(() => buildBoxModel({ styleId, L, W, H, board, open: fold }), [L, W, H, styleId, board, fold]);
   const { fiber, drei } = libs || {}; if (!fiber || !drei) return null;
   const { Canvas } = fiber; const { OrbitControls, Edges } = drei;
-  const maxDim = Math.max(L, W, H) || 1; const scale = 1.6 / maxDim; const dims = { x: L*scale, y: H*scale, z: W*scale };
-  const hasLid = styleId === "ttm" || styleId === "rett" || styleId === "reft"; const lidThickness = Math.min(0.05, dims.y*0.1);
+  const maxDim = Math.max(L, W, H) || 1; const scale = 1.6 / maxDim;
   return (
     <Canvas dpr={[1,1.5]} camera={{ position: [2.2,1.6,2.2], fov: 50 }} className="h-full w-full rounded-2xl">
       {React.createElement('ambientLight', { intensity: 0.8 })}
       {React.createElement('directionalLight', { intensity: 0.6, position: [3, 5, 2] })}
-      {React.createElement('mesh', { position: [0, dims.y / 2, 0], castShadow: true, receiveShadow: true },
-        React.createElement('boxGeometry', { args: [dims.x, dims.y, dims.z] }),
-        React.createElement('meshStandardMaterial', { color: '#e6e1f4', roughness: 0.6, metalness: 0.05 }),
-        React.createElement(Edges)
-      )}
-      {hasLid && React.createElement('mesh', { position: [0, dims.y + lidThickness / 2, 0] },
-        React.createElement('boxGeometry', { args: [dims.x * 0.98, lidThickness, dims.z * 0.98] }),
-        React.createElement('meshStandardMaterial', { color: '#d2cbed', roughness: 0.5, metalness: 0.1 }),
+      {slabs.map((s) => React.createElement('mesh', {
+        key: s.id, position: s.center.map((v) => v * scale), quaternion: s.quaternion, castShadow: true, receiveShadow: true,
+      },
+        React.createElement('boxGeometry', { args: s.size.map((v) => v * scale) }),
+        React.createElement('meshStandardMaterial', { color: BOX_KIND_HEX[s.kind], roughness: 0.6, metalness: 0.05 }),
         React.createElement(Edges)
-      )}
+      ))}
       {React.createElement('mesh', { rotation: [-Math.PI / 2, 0, 0], position: [0, 0, 0], receiveShadow: true },
         React.createElement('planeGeometry', { args: [10, 10] }),
         React.createElement('meshStandardMaterial', { color: '#fafafa' })
@@ -276,89 +379,346 @@ function R3FBox({ L, W, H, styleId, libs }) {
 }
 
 // -----------------------------
-// Shipping – Sheet (CNY) vs Manual per-kg
+// Download helpers
 // -----------------------------
-function chargeableToKg(units, chargeable) {
-  return normalizeUnits(units) === 'cm' ? chargeable : lbToKg(chargeable);
+function downloadBlob(filename, mime, data) {
+  const blob = data instanceof Blob ? data : new Blob([data], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url; a.download = filename; document.body.appendChild(a); a.click();
+  setTimeout(() => { URL.revokeObjectURL(url); a.remove(); }, 0);
 }
 
-function toKg(units, value) {
-  const v = Math.max(0, Number(value) || 0);
-  return normalizeUnits(units) === 'cm' ? v : lbToKg(v);
+function dataURLToBlob(dataURL) {
+  const [meta, b64] = dataURL.split(',');
+  const mime = (meta.match(/data:([^;]+)/) || [,'application/octet-stream'])[1];
+  const bin = atob(b64); const len = bin.length; const arr = new Uint8Array(len);
+  for (let i = 0; i < len; i++) arr[i] = bin.charCodeAt(i);
+  return new Blob([arr], { type: mime });
 }
 
-function roundUp(value, step) {
-  const s = Math.max(1e-6, step || 0.001);
-  return Math.ceil(value / s) * s;
+// -----------------------------
+// Price sheet import (XLSX/CSV → rate tables)
+// -----------------------------
+const RATE_TABLES_KEY = "yunexpress_rate_tables_v2"; // { [country]: table versions[] }
+const LEGACY_RATE_TABLES_KEY = "yunexpress_rate_tables_v1"; // { [country]: table }
+
+async function readSpreadsheetFile(file) {
+  const name = file.name || 'sheet';
+  if (/\.csv$/i.test(name) || file.type === 'text/csv') return [{ name, rows: parseCSV(await file.text()) }];
+  const XLSX = await import(/* webpackChunkName: "xlsx" */ 'xlsx');
+  const wb = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+  return wb.SheetNames.map((sheetName) => ({
+    name: sheetName,
+    rows: XLSX.utils.sheet_to_json(wb.Sheets[sheetName], { header: 1, raw: true, defval: '' }),
+  }));
 }
 
-function computeSheetCNY({ weightKg, battery, country, table }) {
-  const t = table || YUNEXPRESS_US_TABLE;
-  if (!t || country !== t.country) return null; // unsupported
-  const line = battery ? 'Built-in Battery' : 'No Battery';
-  const brackets = t.lines[line] || [];
-  const w = Math.max(t.minWeightKg, roundUp(Math.max(0, Number(weightKg) || 0), t.roundStepKg));
-  const br = brackets.find(b => w > b.lo && w <= b.hi) || brackets[brackets.length - 1];
-  if (!br) return null;
-  const fee = br.feePerKg * w + br.itemFee;
-  return { totalCNY: fee, usedKg: w, bracket: br };
+function SheetImportPreview({ preview, tables, countries, onOptions, onMeta, onApply, onCancel }) {
+  const { result, meta } = preview;
+  const entries = Object.values(result.tables);
+  const canApply = entries.length > 0 && result.errors.length === 0 && !!meta.version.trim() && !!meta.effectiveDate;
+  const money = (b) => (b ? `${b.feePerKg} /kg + ${b.itemFee}` : '—');
+  const tone = { added: 'text-emerald-700', removed: 'text-rose-700 line-through', changed: 'text-amber-700', same: 'text-slate-500' };
+  return (
+    <div className="mt-4 rounded-2xl border border-slate-200 bg-slate-50 p-3 text-xs">
+      <div className="mb-2 flex items-center justify-between gap-2">
+        <div className="font-medium">Import preview · {preview.fileName}</div>
+        <div className="flex gap-2">
+          <button onClick={onCancel} className="rounded-lg border border-slate-300 bg-white px-2 py-1 hover:bg-slate-50">Cancel</button>
+          <button onClick={onApply} disabled={!canApply} className="rounded-lg bg-slate-900 px-2 py-1 text-white hover:opacity-90 disabled:opacity-40">Use these rates</button>
+        </div>
+      </div>
+      <div className="mb-2 grid grid-cols-2 gap-2">
+        <label>
+          <div className="mb-1 text-slate-500">Country (if the sheet has none)</div>
+          <select value={preview.options.country} onChange={(e) => onOptions({ country: e.target.value })} className="w-full rounded-lg border border-slate-300 px-2 py-1">
+            {countries.map((c) => (<option key={c} value={c}>{c}</option>))}
+          </select>
+        </label>
+        <label>
+          <div className="mb-1 text-slate-500">Line (if the sheet has none)</div>
+          <select value={preview.options.line} onChange={(e) => onOptions({ line: e.target.value })} className="w-full rounded-lg border border-slate-300 px-2 py-1">
+            <option value={LINE_NO_BATTERY}>{LINE_NO_BATTERY}</option>
+            <option value={LINE_BATTERY}>{LINE_BATTERY}</option>
+          </select>
+        </label>
+        <label>
+          <div className="mb-1 text-slate-500">Version</div>
+          <input value={meta.version} onChange={(e) => onMeta({ version: e.target.value })} className="w-full rounded-lg border border-slate-300 px-2 py-1" />
+        </label>
+        <label>
+          <div className="mb-1 text-slate-500">Effective from</div>
+          <input type="date" value={meta.effectiveDate} onChange={(e) => onMeta({ effectiveDate: e.target.value })} className="w-full rounded-lg border border-slate-300 px-2 py-1" />
+        </label>
+      </div>
+      {result.errors.map((m, i) => (<div key={`e${i}`} className="text-red-700">✕ {m}</div>))}
+      {result.warnings.map((m, i) => (<div key={`w${i}`} className="text-amber-700">! {m}</div>))}
+      {entries.map((t) => {
+        const diff = diffRateTable(tables[t.country], t);
+        return (
+          <div key={t.country} className="mt-2">
+            <div className="font-medium">{t.country} <span className="font-normal text-slate-500">· {diff.changed} change{diff.changed === 1 ? '' : 's'}{tables[t.country] ? '' : ' · new country'}</span></div>
+            {Object.entries(diff.lines).map(([line, rows]) => (
+              <table key={line} className="mt-1 w-full">
+                <thead><tr className="text-left text-slate-500"><th className="font-normal">{line} (kg)</th><th className="font-normal">Current (CNY)</th><th className="font-normal">Imported (CNY)</th></tr></thead>
+                <tbody>
+                  {rows.map((r) => (
+                    <tr key={`${r.status}_${r.lo}_${r.hi}`} className={tone[r.status]}>
+                      <td>{r.lo}–{r.hi}</td><td>{money(r.before)}</td><td>{money(r.after)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ))}
+          </div>
+        );
+      })}
+    </div>
+  );
 }
 
-function computeManualCNY({ weightKg, rates }) {
-  const w = Math.max(0, Number(weightKg) || 0);
-  const perKg = Math.max(0, Number(rates.perKgCNY) || 0);
-  const minCharge = Math.max(0, Number(rates.minChargeCNY) || 0);
-  const startedKg = Math.ceil(w <= 0 ? 0 : w);
-  const total = Math.max(perKg * startedKg, minCharge);
-  return { totalCNY: total, usedKg: startedKg, bracket: null };
+function SurchargeEditor({ country, rules, onChange }) {
+  const [addType, setAddType] = useState(SURCHARGE_TYPES[0].id);
+  const update = (id, patch) => onChange(rules.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+  const remove = (id) => onChange(rules.filter((r) => r.id !== id));
+  const num = (v) => (v === '' ? '' : Number(v));
+  const input = "w-full rounded-lg border border-slate-300 px-2 py-1";
+  return (
+    <div className="mt-4 rounded-2xl border border-slate-200 p-3 text-xs">
+      <div className="mb-2 flex items-center justify-between gap-2">
+        <div className="font-medium">Surcharges · {country}</div>
+        <div className="flex gap-1">
+          <select value={addType} onChange={(e) => setAddType(e.target.value)} className="rounded-lg border border-slate-300 px-1 py-1">
+            {SURCHARGE_TYPES.map((t) => (<option key={t.id} value={t.id}>{t.label}</option>))}
+          </select>
+          <button onClick={() => onChange([...rules, newSurchargeRule(addType)])} className="rounded-lg border border-slate-300 px-2 py-1 hover:bg-slate-50">Add rule</button>
+        </div>
+      </div>
+      {rules.length === 0 && <div className="text-slate-500">No surcharges – quotes use the base sheet fee only.</div>}
+      {rules.map((r) => {
+        const type = SURCHARGE_TYPES.find((t) => t.id === r.type) || SURCHARGE_TYPES[0];
+        return (
+          <div key={r.id} className="mb-2 grid grid-cols-6 items-end gap-2 border-t border-slate-100 pt-2">
+            <label className="col-span-1 flex items-center gap-1 pb-1"><input type="checkbox" checked={r.enabled !== false} onChange={(e) => update(r.id, { enabled: e.target.checked })} /> on</label>
+            <label className="col-span-3"><div className="text-slate-500">Label</div><input value={r.label} onChange={(e) => update(r.id, { label: e.target.value })} className={input} /></label>
+            <label className="col-span-2"><div className="text-slate-500">{type.unit}</div><input type="number" value={r.value} onChange={(e) => update(r.id, { value: num(e.target.value) })} className={input} step="0.01" min={0} /></label>
+            {r.type === 'peak' && (<>
+              <label className="col-span-3"><div className="text-slate-500">From</div><input type="date" value={r.from || ''} onChange={(e) => update(r.id, { from: e.target.value })} className={input} /></label>
+              <label className="col-span-3"><div className="text-slate-500">To</div><input type="date" value={r.to || ''} onChange={(e) => update(r.id, { to: e.target.value })} className={input} /></label>
+            </>)}
+            {r.type === 'remote' && (
+              <label className="col-span-6"><div className="text-slate-500">Postcodes (ranges 99501-99950, prefixes 967*, exact)</div><input value={r.postcodes || ''} onChange={(e) => update(r.id, { postcodes: e.target.value })} className={input} /></label>
+            )}
+            {r.type === 'oversize' && (<>
+              <label className="col-span-3"><div className="text-slate-500">Longest side over (cm)</div><input type="number" value={r.maxSideCm} onChange={(e) => update(r.id, { maxSideCm: num(e.target.value) })} className={input} min={0} /></label>
+              <label className="col-span-3"><div className="text-slate-500">Girth over (cm)</div><input type="number" value={r.maxGirthCm} onChange={(e) => update(r.id, { maxGirthCm: num(e.target.value) })} className={input} min={0} /></label>
+            </>)}
+            {r.type === 'overweight' && (
+              <label className="col-span-6"><div className="text-slate-500">Billed weight over (kg)</div><input type="number" value={r.overKg} onChange={(e) => update(r.id, { overKg: num(e.target.value) })} className={input} min={0} step="0.1" /></label>
+            )}
+            <div className="col-span-6 text-right"><button onClick={() => remove(r.id)} className="text-rose-700 hover:underline">Remove</button></div>
+          </div>
+        );
+      })}
+    </div>
+  );
 }
 
-function cnyToUsd(cny, cnyPerUSD) {
-  const fx = Math.max(0.0001, Number(cnyPerUSD) || DEFAULT_RATES.cnyPerUSD);
-  return cny / fx;
+// Blank = not checked; the weight cap then falls back to the top of the last bracket
+function LaneLimitsEditor({ country, limits, weightCapKg, onChange }) {
+  const value = limits || {};
+  const input = "w-full rounded-lg border border-slate-300 px-2 py-1";
+  return (
+    <div className="mt-4 rounded-2xl border border-slate-200 p-3 text-xs">
+      <div className="mb-2 font-medium">Lane limits · {country}</div>
+      <div className="grid grid-cols-4 gap-2">
+        {LANE_LIMIT_FIELDS.map((f) => (
+          <label key={f.id}>
+            <div className="text-slate-500">{f.label} ({f.unit})</div>
+            <input type="number" value={value[f.id] ?? ''} onChange={(e) => onChange({ ...value, [f.id]: e.target.value === '' ? null : Number(e.target.value) })}
+              placeholder={f.id === 'maxWeightKg' && weightCapKg != null ? String(weightCapKg) : 'not checked'} className={input} min={0} step="0.1" />
+          </label>
+        ))}
+      </div>
+      <div className="mt-2 text-slate-500">Enter them from the restrictions in this lane&apos;s sheet; parcels over a limit are blocked.</div>
+    </div>
+  );
 }
 
-// -----------------------------
-// Download helpers
-// -----------------------------
-function downloadBlob(filename, mime, data) {
-  const blob = data instanceof Blob ? data : new Blob([data], { type: mime });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url; a.download = filename; document.body.appendChild(a); a.click();
-  setTimeout(() => { URL.revokeObjectURL(url); a.remove(); }, 0);
+function RequotePanel({ requote, onApply, onClose }) {
+  const versionLabel = (v) => (v ? v.version : '—');
+  const changed = requote.rows.filter((r) => Math.abs(r.deltaCNY) > 0.005).length;
+  return (
+    <div className="mb-3 rounded-2xl border border-slate-200 bg-slate-50 p-3 text-xs">
+      <div className="mb-2 flex items-center justify-between gap-2">
+        <div className="font-medium">Re-quote against current rates · {changed} of {requote.rows.length} changed</div>
+        <div className="flex gap-2">
+          <button onClick={onClose} className="rounded-lg border border-slate-300 bg-white px-2 py-1 hover:bg-slate-50">Close</button>
+          <button onClick={onApply} disabled={!changed} className="rounded-lg bg-slate-900 px-2 py-1 text-white hover:opacity-90 disabled:opacity-40">Update saved rows</button>
+        </div>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead>
+            <tr className="text-left text-slate-500">
+              <th className="font-normal">Setup</th><th className="font-normal">Rates (old → new)</th>
+              <th className="text-right font-normal">Old CNY</th><th className="text-right font-normal">New CNY</th><th className="text-right font-normal">Δ CNY</th>
+            </tr>
+          </thead>
+          <tbody>
+            {requote.rows.map((r) => (
+              <tr key={r.id} className="border-t border-slate-200">
+                <td className="py-1 pr-2">{r.name}</td>
+                <td className="py-1 pr-2 text-slate-500">{versionLabel(r.oldVersion)} → {versionLabel(r.newVersion)}</td>
+                <td className="py-1 text-right">{r.oldCNY.toFixed(2)}</td>
+                <td className="py-1 text-right">{r.newCNY.toFixed(2)}</td>
+                <td className={`py-1 text-right font-semibold ${r.deltaCNY > 0.005 ? 'text-rose-700' : r.deltaCNY < -0.005 ? 'text-emerald-700' : 'text-slate-500'}`}>
+                  {r.deltaCNY > 0 ? '+' : ''}{r.deltaCNY.toFixed(2)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
 }
 
-function csvEscape(v) {
-  if (v === null || v === undefined) return '';
-  const s = String(v);
-  if (/[",\n]/.test(s)) return '"' + s.replace(/"/g, '""') + '"';
-  return s;
+function ComparePanel({ comparison, onBaseline, onRemove, onClose }) {
+  const { columns, baseIndex, metrics } = comparison;
+  const fmt = (m, v) => (v === null ? '—' : typeof v === 'number' ? v.toFixed(m.digits ?? 2) : v);
+  const deltaTone = (m, d) => (m.best ? ((m.best === 'min' ? d < 0 : d > 0) ? 'text-emerald-700' : 'text-rose-700') : 'text-slate-500');
+  return (
+    <div className="mb-3 rounded-2xl border border-slate-200 bg-slate-50 p-3 text-xs">
+      <div className="mb-2 flex items-center justify-between gap-2">
+        <div className="font-medium">Compare {columns.length} setups <span className="font-normal text-slate-500">· today&apos;s rates · best value in green · Δ vs baseline</span></div>
+        <button onClick={onClose} className="rounded-lg border border-slate-300 bg-white px-2 py-1 hover:bg-slate-50">Close</button>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead>
+            <tr className="text-left align-bottom">
+              <th />
+              {columns.map((c, i) => (
+                <th key={c.id} className="px-2 pb-1 font-medium">
+                  <div>{c.name}</div>
+                  <div className="flex items-center gap-2 font-normal text-slate-500">
+                    <label className="flex items-center gap-1">
+                      <input type="radio" checked={i === baseIndex} onChange={() => onBaseline(c.id)} />baseline
+                    </label>
+                    <button onClick={() => onRemove(c.id)} className="hover:text-rose-700" aria-label={`Remove ${c.name} from comparison`}>×</button>
+                  </div>
+                  {!c.quote.shippable && <div className="font-normal text-rose-700">not shippable</div>}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {metrics.map((m) => (
+              <tr key={m.id} className="border-t border-slate-200">
+                <td className="py-1 pr-2 text-slate-500">{m.label}</td>
+                {m.cells.map((cell, i) => (
+                  <td key={columns[i].id} className={`px-2 py-1 ${cell.best ? 'font-semibold text-emerald-700' : ''}`}>
+                    {fmt(m, cell.value)}
+                    {cell.delta !== null && Math.abs(cell.delta) > 10 ** -(m.digits ?? 2) / 2 && (
+                      <span className={`ml-1 font-normal ${deltaTone(m, cell.delta)}`}>({cell.delta > 0 ? '+' : ''}{cell.delta.toFixed(m.digits ?? 2)})</span>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
 }
 
-function rowsToCSV(rows) {
-  const headers = [
-    'name','country','pricingMode','units','styleId','L','W','H','boardMM','divisorId','battery','qty','priceUSD','productCostUSD','variableFeePct','refundFeePct',
-    'chargeableKg','shippingCNY','shippingUSD','shippingPerUnitUSD','costPerUnitUSD','totalCostUSD','breakdown'
-  ];
-  const lines = [headers.join(',')];
-  for (const r of rows) {
-    const d = r.derived || {}; // guard
-    lines.push([
-      csvEscape(r.name), r.country, r.pricingMode, r.units, r.styleId, r.L, r.W, r.H, r.boardMM, r.divisorId, r.battery, r.qty,
-      r.priceUSD, r.productCostUSD, r.variableFeePct, r.refundFeePct,
-      (d.chargeableKg ?? ''), (d.shippingCNY ?? ''), (d.shippingUSD ?? ''), (d.shippingPerUnitUSD ?? ''), (d.costPerUnitUSD ?? ''), (d.totalCostUSD ?? ''), csvEscape(d.breakdown || '')
-    ].join(','));
-  }
-  return lines.join('\n');
+// Tag chips (click to filter by the tag, × to remove) + an input that adds on Enter or comma
+function TagEditor({ tags, onChange, onPick }) {
+  const [draft, setDraft] = useState('');
+  const commit = () => { if (draft.trim()) onChange([...tags, draft]); setDraft(''); };
+  return (
+    <div className="mt-1 flex flex-wrap items-center gap-1 text-xs">
+      {tags.map((t) => (
+        <span key={t} className="inline-flex items-center gap-1 rounded-full bg-slate-100 px-2 py-0.5 text-slate-700">
+          <button onClick={() => onPick(t)} title="Show setups with this tag">{t}</button>
+          <button onClick={() => onChange(tags.filter((x) => x !== t))} className="text-slate-400 hover:text-rose-700" aria-label={`Remove tag ${t}`}>×</button>
+        </span>
+      ))}
+      <input
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={(e) => { if (e.key === 'Enter' || e.key === ',') { e.preventDefault(); commit(); } }}
+        onBlur={commit}
+        placeholder="+ tag"
+        className="w-20 rounded border border-transparent px-1 py-0.5 hover:border-slate-200 focus:border-slate-300 focus:outline-none"
+      />
+    </div>
+  );
 }
 
-function dataURLToBlob(dataURL) {
-  const [meta, b64] = dataURL.split(',');
-  const mime = (meta.match(/data:([^;]+)/) || [,'application/octet-stream'])[1];
-  const bin = atob(b64); const len = bin.length; const arr = new Uint8Array(len);
-  for (let i = 0; i < len; i++) arr[i] = bin.charCodeAt(i);
-  return new Blob([arr], { type: mime });
+// Workspace import summary: rows that could not be read are listed instead of silently dropped
+function WorkspaceImportReport({ report, onClose }) {
+  const { errors } = report;
+  return (
+    <div className={`mb-3 rounded-2xl border p-3 text-xs ${errors.length ? 'border-amber-200 bg-amber-50' : 'border-slate-200 bg-slate-50'}`}>
+      <div className="mb-1 flex items-center justify-between gap-2">
+        <div className="font-medium">
+          Imported workspace &quot;{report.name}&quot; · {report.fileName} · {report.imported} setup(s)
+          {errors.length > 0 && <span className="text-amber-800"> · {errors.length} skipped</span>}
+          {report.migrated > 0 && <span className="font-normal text-slate-500"> · {report.migrated} upgraded from an older format</span>}
+        </div>
+        <button onClick={onClose} className="rounded-lg border border-slate-300 bg-white px-2 py-1 hover:bg-slate-50">Dismiss</button>
+      </div>
+      {errors.length > 0 && <div className="mb-1 text-slate-600">These setups were not imported – fix them in the file and import it again:</div>}
+      {errors.map((e) => (
+        <div key={`item${e.item}`} className="text-red-700">✕ Setup {e.item}{e.name ? ` (${e.name})` : ''}: {e.message}</div>
+      ))}
+    </div>
+  );
+}
+
+function SetupImportPanel({ preview, savedCount, onApply, onClose }) {
+  const { rows, errors } = preview;
+  return (
+    <div className="mb-3 rounded-2xl border border-slate-200 bg-slate-50 p-3 text-xs">
+      <div className="mb-2 flex items-center justify-between gap-2">
+        <div className="font-medium">
+          Import · {preview.fileName} · {rows.length} valid, {errors.length} with errors
+          {preview.migrated > 0 && <span className="font-normal text-slate-500"> · {preview.migrated} upgraded from an older format</span>}
+        </div>
+        <div className="flex gap-2">
+          <button onClick={onClose} className="rounded-lg border border-slate-300 bg-white px-2 py-1 hover:bg-slate-50">Cancel</button>
+          <button onClick={() => onApply('merge')} disabled={!rows.length} className="rounded-lg border border-slate-300 bg-white px-2 py-1 hover:bg-slate-50 disabled:opacity-40">Merge into saved</button>
+          <button onClick={() => onApply('replace')} disabled={!rows.length} className="rounded-lg bg-slate-900 px-2 py-1 text-white hover:opacity-90 disabled:opacity-40">Replace {savedCount} saved</button>
+        </div>
+      </div>
+      <div className="mb-1 text-slate-500">Merge updates setups with the same id (or name) and adds the rest. Prices are recalculated with today&apos;s rates.</div>
+      {errors.map((e) => (
+        <div key={e.line ?? `item${e.item}`} className="text-red-700">✕ {e.line ? `Line ${e.line}` : e.item ? `Setup ${e.item}` : 'File'}{e.name ? ` (${e.name})` : ''}: {e.message}</div>
+      ))}
+      {rows.length > 0 && (
+        <table className="mt-1 w-full">
+          <thead>
+            <tr className="text-left text-slate-500">
+              <th className="font-normal">Setup</th><th className="font-normal">Box</th><th className="text-right font-normal">Shipping CNY</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r, i) => (
+              <tr key={r.id || i} className="border-t border-slate-200">
+                <td className="py-1 pr-2">{r.name}</td>
+                <td className="py-1 pr-2 text-slate-500">{r.units}, {r.styleId} · {r.L}×{r.W}×{r.H} · {r.country} · {r.pricingMode}</td>
+                <td className="py-1 text-right">{r.derived.shippable ? r.derived.shippingCNY.toFixed(2) : 'not shippable'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
 }
 
 // -----------------------------
@@ -371,22 +731,120 @@ export default function PackagingBoxDesigner() {
   const [W, setW] = useState(22);
   const [H, setH] = useState(10);
   const [boardMM, setBoardMM] = useState(2);
+  const [boardGrade, setBoardGrade] = useState(DEFAULT_BOARD_GRADE);   // lib/board.mjs; a grade fixes boardMM
+  const [boardPricePerM2USD, setBoardPricePerM2USD] = useState(0);     // Custom grade
+  const [boxOrderQty, setBoxOrderQty] = useState(1000);                // boxes ordered → price break / MOQ
   const [battery, setBattery] = useState(false);
 
   // Country & pricing mode
-  const [country, setCountry] = useState('United States');
+  const [country, setCountry] = useState(DEFAULT_COUNTRY);
   const [pricingMode, setPricingMode] = useState('sheet'); // 'sheet' | 'manual'
+  const [postcode, setPostcode] = useState('');                                // remote-area surcharges
+  const [shipDate, setShipDate] = useState('');                                // peak-season window
+  useEffect(() => { setShipDate((d) => d || new Date().toISOString().slice(0, 10)); }, []); // client date, avoids SSR mismatch
 
   // Commercial inputs
   const [qty, setQty] = useState(1);
+  const [unitWeight, setUnitWeight] = useState(0);   // per unit, kg for cm / lb for in
+  const [unitsPerBox, setUnitsPerBox] = useState(0); // 0 = whole quantity in one box
   const [priceUSD, setPriceUSD] = useState(0);         // selling price per unit
   const [productCostUSD, setProductCostUSD] = useState(0); // COGS per unit
-  const [variableFeePct, setVariableFeePct] = useState(0); // % of price
+  const [feeProfile, setFeeProfile] = useState(DEFAULT_FEE_PROFILE);    // marketplace fee profile (lib/fees.mjs)
+  const [feeCategory, setFeeCategory] = useState('');                   // '' = the profile's first category
+  const [variableFeePct, setVariableFeePct] = useState(0); // % of price (Custom profile)
+  const [customFeeFixedUSD, setCustomFeeFixedUSD] = useState(0); // per order (Custom profile)
+  const [customFeeMinUSD, setCustomFeeMinUSD] = useState(0);     // minimum (Custom profile)
+  const [declaredValueUSD, setDeclaredValueUSD] = useState(0);   // customs value per unit, 0 = selling price
+  const [hsCode, setHsCode] = useState('');
+  const [dutyPct, setDutyPct] = useState(0);                     // HS-code duty rate
   const [refundFeePct, setRefundFeePct] = useState(0);     // % of price
+  const [targetMarginPct, setTargetMarginPct] = useState(30); // price solver target
 
   // Rates (manual fallback)
   const [rates, setRates] = useState({ ...DEFAULT_RATES });
 
+  // Sheet rate tables: built-in registry + stored versions (persisted); the one in force on the ship date is used
+  const [rateVersions, setRateVersions] = useState({});
+  // Saved only once the stored versions are loaded – and not at all when they could not be read,
+  // so an unreadable store is reported instead of overwritten
+  const [rateVersionsLoaded, setRateVersionsLoaded] = useState(false);
+  useEffect(() => {
+    try {
+      if (typeof window === 'undefined') return;
+      setRateVersions(migrateStoredRateTables(window.localStorage.getItem(RATE_TABLES_KEY), window.localStorage.getItem(LEGACY_RATE_TABLES_KEY)));
+      setRateVersionsLoaded(true);
+    } catch (e) { setStorageError(describeStorageError(e)); }
+  }, []);
+  useEffect(() => {
+    if (!rateVersionsLoaded) return;
+    try { window.localStorage.setItem(RATE_TABLES_KEY, JSON.stringify(rateVersions)); } catch (e) { setStorageError(describeStorageError(e)); }
+  }, [rateVersionsLoaded, rateVersions]);
+  const rateTables = useMemo(() => resolveRateTables(rateVersions, shipDate), [rateVersions, shipDate]);
+  const currentRateTables = useMemo(() => resolveRateTables(rateVersions, todayISO()), [rateVersions]);
+  const countryOptions = useMemo(() => [...new Set([...Object.keys(YUNEXPRESS_TABLES), ...Object.keys(rateVersions)])], [rateVersions]);
+
+  // Price sheet import: { fileName, sheets, options: { country, line }, meta: { version, effectiveDate }, result }
+  const [sheetImport, setSheetImport] = useState(null);
+  const sheetFileRef = useRef(null);
+  async function onSheetFile(e) {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const sheets = await readSpreadsheetFile(file);
+      const options = { country, line: lineNameFor(battery) };
+      const meta = { version: file.name.replace(/\.[^.]+$/, ''), effectiveDate: todayISO() };
+      setSheetImport({ fileName: file.name, sheets, options, meta, result: parsePriceSheet(sheets, options) });
+    } catch (err) {
+      alert(`Could not read ${file.name}: ${err && err.message ? err.message : err}`);
+    }
+  }
+  function setSheetImportOptions(patch) {
+    setSheetImport((cur) => {
+      if (!cur) return cur;
+      const options = { ...cur.options, ...patch };
+      return { ...cur, options, result: parsePriceSheet(cur.sheets, options) };
+    });
+  }
+  function setSheetImportMeta(patch) {
+    setSheetImport((cur) => (cur ? { ...cur, meta: { ...cur.meta, ...patch } } : cur));
+  }
+  function applySheetImport() {
+    if (!sheetImport) return;
+    const source = { fileName: sheetImport.fileName, importedAt: new Date().toISOString() };
+    const meta = { version: sheetImport.meta.version.trim(), effectiveDate: sheetImport.meta.effectiveDate };
+    setRateVersions((cur) => {
+      const next = { ...cur };
+      for (const t of Object.values(sheetImport.result.tables)) {
+        const base = pickEffectiveTable(tableVersionsFor(t.country, cur), meta.effectiveDate);
+        const list = (cur[t.country] || []).filter((v) => v.version !== meta.version);
+        next[t.country] = [...list, mergeImportedTable(base, t, source, meta)];
+      }
+      return next;
+    });
+    setSheetImport(null);
+  }
+  // Edits apply to the version in force (a built-in table gets a stored copy with the same version id)
+  function patchActiveTable(c, patch) {
+    const active = rateTables[c];
+    if (!active) return;
+    setRateVersions((cur) => {
+      const list = (cur[c] || []).filter((t) => t.version !== active.version);
+      return { ...cur, [c]: [...list, { ...active, ...patch }] };
+    });
+  }
+  function setTableSurcharges(c, rules) { patchActiveTable(c, { surcharges: rules }); }
+  function setTableLimits(c, limits) { patchActiveTable(c, { limits }); }
+  function removeActiveRateVersion(c) {
+    const active = rateTables[c];
+    if (!active) return;
+    setRateVersions((cur) => {
+      const next = { ...cur, [c]: (cur[c] || []).filter((t) => t.version !== active.version) };
+      if (!next[c].length) delete next[c];
+      return next;
+    });
+  }
+
   // Mount & WebGL detection
   const [mounted, setMounted] = useState(false);
   const [hasWebGL, setHasWebGL] = useState(false);
@@ -395,6 +853,7 @@ export default function PackagingBoxDesigner() {
   // Dynamically load R3F libs only if mounted + WebGL present
   const canUseR3F = mounted && hasWebGL;
   const r3fLibs = useR3FLibs(canUseR3F);
+  const { fold, setFold, toggle: toggleFold, animating: foldAnimating } = useFoldAnimation();
 
   // Divisors
   const divisorList = useMemo(() => getDivisorListFor(units), [units]);
@@ -409,72 +868,49 @@ export default function PackagingBoxDesigner() {
     if (!String(divisorId || "").startsWith(shouldBePrefix)) setDivisorId(list[0].id);
   }, [units]);
 
-  const divisorObj = useMemo(() => safeGetDivisor(units, divisorId), [units, divisorId]);
-  const divisorNumeric = safeDivisorNumber(divisorObj, units);
-
-  const parsed = {
-    L: clampNumber(L, 0.01, 10000),
-    W: clampNumber(W, 0.01, 10000),
-    H: clampNumber(H, 0.01, 10000),
-    boardMM: clampNumber(boardMM, 0, 25),
-    actualW: clampNumber(actualW, 0, 1000),
-    qty: Math.max(1, Math.floor(clampNumber(qty, 1, 1000000)))
-  };
-
-  const calc = useBoxCalculations({
-    L: parsed.L, W: parsed.W, H: parsed.H, units,
-    boardMM: parsed.boardMM, divisor: divisorNumeric, actualWeight: parsed.actualW,
-  });
-
-  // Shipping (CNY + USD): compare volumetric vs actual vs chargeable = max
-  const volKg = toKg(units, calc.volWeight);
-  const actualKg = toKg(units, parsed.actualW);
-  const chargeableKg = toKg(units, calc.chargeable);
-
-  const NULL_RES = { totalCNY: 0, usedKg: 0, bracket: null };
-  const computeFor = (kg) => (
-    pricingMode === 'sheet'
-      ? (computeSheetCNY({ weightKg: kg, battery, country, table: YUNEXPRESS_US_TABLE }) || NULL_RES)
-      : computeManualCNY({ weightKg: kg, rates })
-  );
-
-  const resVol = computeFor(volKg);
-  const resActual = actualKg > 0 ? computeFor(actualKg) : NULL_RES;
-  const resCharge = computeFor(chargeableKg);
-
-  const shippingCNY = resCharge.totalCNY;
-  const shippingUSD = cnyToUsd(shippingCNY, rates.cnyPerUSD);
-  const shippingPerUnitUSD = parsed.qty > 0 ? shippingUSD / parsed.qty : 0;
-
-  const volShippingUSD = cnyToUsd(resVol.totalCNY, rates.cnyPerUSD);
-  const actualShippingUSD = cnyToUsd(resActual.totalCNY, rates.cnyPerUSD);
-  const hasActual = actualKg > 0;
-
-  const variableFeeUSD = (Number(priceUSD)||0) * (Number(variableFeePct)||0) / 100;
-  const refundFeeUSD = (Number(priceUSD)||0) * (Number(refundFeePct)||0) / 100;
-  const costPerUnitUSD = (Number(productCostUSD)||0) + variableFeeUSD + refundFeeUSD + shippingPerUnitUSD;
-  const totalCostUSD = costPerUnitUSD * parsed.qty;
-
-  function makeBreakdown(res) {
-    if (!res) return '';
-    if (pricingMode === 'sheet' && res.bracket) {
-      const b = res.bracket;
-      return `Sheet(${country}, ${battery ? 'Battery' : 'No Battery'}): fee ${b.feePerKg}×${res.usedKg.toFixed(3)} + item ${b.itemFee} = ${res.totalCNY.toFixed(2)} CNY`;
-    }
-    if (pricingMode === 'manual') {
-      return `Manual: perKg ${rates.perKgCNY} × ${res.usedKg} kg = ${res.totalCNY.toFixed(2)} CNY`;
-    }
-    return '';
-  }
+  const quoteInput = useMemo(() => ({
+    units, styleId, L, W, H, boardMM, boardGrade, boardPricePerM2USD, boxOrderQty,
+    divisorId, actualW, battery, country, pricingMode, postcode, shipDate,
+    rates, qty, unitWeight, unitsPerBox, priceUSD, productCostUSD, variableFeePct, refundFeePct, targetMarginPct,
+    feeProfile, feeCategory, customFeeFixedUSD, customFeeMinUSD, declaredValueUSD, hsCode, dutyPct,
+  }), [units, styleId, L, W, H, boardMM, boardGrade, boardPricePerM2USD, boxOrderQty, divisorId, actualW, battery, country, pricingMode, postcode, shipDate,
+    rates, qty, unitWeight, unitsPerBox, priceUSD, productCostUSD, variableFeePct, refundFeePct, targetMarginPct,
+    feeProfile, feeCategory, customFeeFixedUSD, customFeeMinUSD, declaredValueUSD, hsCode, dutyPct]);
+  const quote = useMemo(() => computeQuote(quoteInput, { tables: rateTables }), [quoteInput, rateTables]);
+  const {
+    parsed, divisorObj, divisorNumeric, calc, volKg, actualKg, chargeableKg, hasActual,
+    rateTable, sheetUnavailable, laneViolations, shippable, parcel, multiParcel, parcelGroups, parcelCount, resVol, resActual, resCharge,
+    shippingCNY, shippingUSD, shippingPerUnitUSD, volShippingUSD, actualShippingUSD,
+    feeLines, variableFeeUSD, refundFeeUSD, customsRule, landedLines, dutiesPerUnitUSD, taxesPerUnitUSD,
+    dieline, packaging, packagingPerUnitUSD, costPerUnitUSD, totalCostUSD,
+    profitPerUnitUSD, totalProfitUSD, marginPct, contributionPerUnitUSD, breakEvenPriceUSD, targetPriceUSD,
+    breakdownCharge, breakdownVol, breakdownActual,
+  } = quote;
+
+  const activeFeeProfile = findFeeProfile(feeProfile);
+
+  // Cost-vs-weight chart: both battery lines (sheet) or the manual rates, plus this box's weights
+  const [chartMaxKg, setChartMaxKg] = useState(30);
+  const chartCurves = useMemo(() => {
+    const curveFor = (bat) => shippingCostCurve({ pricingMode, battery: bat, country, table: rateTable, parcel, rates, maxKg: chartMaxKg });
+    if (pricingMode === 'manual') return [{ id: 'manual', label: 'Manual rates', color: '#0F172A', active: true, points: curveFor(battery) }];
+    return [
+      { id: 'nb', label: LINE_NO_BATTERY, color: '#0F172A', active: !battery, points: curveFor(false) },
+      { id: 'bat', label: LINE_BATTERY, color: '#D97706', active: battery, points: curveFor(true) },
+    ];
+  }, [pricingMode, country, rateTable, parcel, rates, battery, chartMaxKg]);
+  const chartMarkers = [
+    { id: 'vol', label: 'Volumetric', kg: volKg, totalCNY: resVol.bracket || pricingMode === 'manual' ? resVol.totalCNY : null, color: '#6366F1' },
+    ...(hasActual ? [{ id: 'actual', label: 'Actual', kg: actualKg, totalCNY: resActual.bracket || pricingMode === 'manual' ? resActual.totalCNY : null, color: '#0EA5E9' }] : []),
+    ...(shippable ? [{ id: 'charge', label: 'Chargeable', kg: chargeableKg, totalCNY: resCharge.totalCNY, color: '#DC2626' }] : []),
+  ];
 
-  const breakdownCharge = useMemo(() => makeBreakdown(resCharge), [pricingMode, resCharge, country, battery, rates.perKgCNY]);
-  const breakdownVol = useMemo(() => makeBreakdown(resVol), [pricingMode, resVol, country, battery, rates.perKgCNY]);
-  const breakdownActual = useMemo(() => hasActual ? makeBreakdown(resActual) : '', [pricingMode, resActual, hasActual, country, battery, rates.perKgCNY]);
+  const advice = useMemo(() => adviseBracketSavings(quoteInput, { tables: rateTables }), [quoteInput, rateTables]);
 
-  const crossProfiles = useMemo(() => {
-    const list = getDivisorListFor(units);
-    return list.map((d) => ({ label: d.label, value: (calc.volume / Math.max(1, d.divisor)).toFixed(2) + " " + d.vwUnit }));
-  }, [calc.volume, units]);
+  const carrierQuotes = CARRIER_PROFILES.map((p) => quoteCarrierProfile(p, {
+    volume: calc.volume, units, divisor: divisorObj, actualKg, battery, country, tables: rateTables, parcel, rates,
+  }));
+  const cheapestCarrier = carrierQuotes.filter((q) => !q.unavailable).reduce((best, q) => (!best || q.totalCNY < best.totalCNY ? q : best), null);
 
   const volUnit = normalizeUnits(units) === "cm" ? "cm³" : "in³";
   const dimUnit = normalizeUnits(units) === "cm" ? "cm" : "in";
@@ -488,50 +924,321 @@ export default function PackagingBoxDesigner() {
 
   const repaired = divisorNumeric !== Number(divisorObj?.divisor);
   const styleName = (STYLE_OPTIONS.find((s) => s.id === styleId) || STYLE_OPTIONS[0]).name;
+  const previewBoard = boardInUnits(units, parsed.boardMM);
 
   // -----------------------------
   // Save / Load (localStorage)
   // -----------------------------
   const [setupName, setSetupName] = useState("");
+  // Saved setups of the active workspace. `persisted` is what IndexedDB holds, so each change
+  // writes only the rows that differ; storage failures are shown, not swallowed.
   const [saved, setSaved] = useState([]);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [activeWorkspace, setActiveWorkspace] = useState(null);
+  const [storageError, setStorageError] = useState('');
+  const dbRef = useRef(null);
+  const persisted = useRef({ ws: null, rows: [] });
+  const storageInit = useRef(false);
+  // Rows saved before the first load finishes (IndexedDB is async) are kept: `pending` go in
+  // front of the stored rows and are written on the next save.
+  const savedRef = useRef(saved);
+  savedRef.current = saved;
+  function showWorkspace(ws, rows, pending = []) {
+    const stored = new Set(rows.map((r) => r.id));
+    persisted.current = { ws, rows };
+    setActiveWorkspace(ws); setSaved([...pending.filter((r) => !stored.has(r.id)), ...rows]);
+    setSelectedIds([]); setCompare(null); setRequote(null); setSetupImport(null); setWorkspaceImport(null);
+    try { window.localStorage.setItem(ACTIVE_WORKSPACE_KEY, ws.id); } catch (e) { /* preference only */ }
+  }
   useEffect(() => {
-    try { const raw = typeof window !== 'undefined' ? window.localStorage.getItem(SAVED_KEY) : null; if (raw) setSaved(JSON.parse(raw)); } catch (e) { /* ignore */ }
+    if (storageInit.current || typeof window === 'undefined') return;
+    storageInit.current = true; // strict mode runs effects twice; seed the first workspace once
+    (async () => {
+      const get = (k) => window.localStorage.getItem(k);
+      try {
+        const db = await openWorkspaceDB();
+        dbRef.current = db;
+        let list = await listWorkspaces(db);
+        if (!list.length) list = [await createWorkspace(db, 'Default', migrateStoredSetups(get(SAVED_KEY), LEGACY_SAVED_KEYS.map(get)))];
+        const ws = list.find((w) => w.id === get(ACTIVE_WORKSPACE_KEY)) || list[0];
+        const rows = await loadWorkspaceRows(db, ws);
+        setWorkspaces(list);
+        showWorkspace(ws, rows, savedRef.current);
+      } catch (err) {
+        setStorageError(describeStorageError(err));
+        try {
+          const legacy = migrateStoredSetups(get(SAVED_KEY), LEGACY_SAVED_KEYS.map(get));
+          setSaved((pending) => [...pending, ...legacy]);
+        } catch (e) { /* nothing stored */ }
+      }
+    })();
   }, []);
   useEffect(() => {
-    try { if (typeof window !== 'undefined') window.localStorage.setItem(SAVED_KEY, JSON.stringify(saved)); } catch (e) { /* ignore */ }
+    const { ws, rows } = persisted.current;
+    if (!dbRef.current || !ws || rows === saved) return;
+    persisted.current = { ws, rows: saved };
+    saveWorkspaceRows(dbRef.current, ws, rows, saved)
+      .then((next) => { setStorageError(''); syncWorkspace(next); })
+      .catch((err) => setStorageError(describeStorageError(err)));
   }, [saved]);
+  // A stored workspace record (after a rename or a save) replaces the page's copies of it
+  function syncWorkspace(next) {
+    if (persisted.current.ws && persisted.current.ws.id === next.id) persisted.current = { ...persisted.current, ws: next };
+    setActiveWorkspace((ws) => (ws && ws.id === next.id ? next : ws));
+    setWorkspaces((list) => list.map((w) => (w.id === next.id ? next : w)));
+  }
+
+  async function runWorkspaceAction(fn) {
+    try { await fn(dbRef.current); } catch (err) { setStorageError(describeStorageError(err)); }
+  }
+  function switchWorkspace(id) {
+    const ws = workspaces.find((w) => w.id === id);
+    if (ws) runWorkspaceAction(async (db) => showWorkspace(ws, await loadWorkspaceRows(db, ws)));
+  }
+  function newWorkspace() {
+    const name = (window.prompt('Name for the new workspace (client, product launch…):') || '').trim();
+    if (!name) return;
+    runWorkspaceAction(async (db) => {
+      const ws = await createWorkspace(db, name);
+      setWorkspaces((list) => [...list, ws]);
+      showWorkspace(ws, []);
+    });
+  }
+  function renameActiveWorkspace() {
+    const ws = activeWorkspace;
+    const name = ws && (window.prompt('Rename workspace:', ws.name) || '').trim();
+    if (!name) return;
+    runWorkspaceAction(async (db) => {
+      syncWorkspace(await renameWorkspace(db, ws, name));
+    });
+  }
+  function deleteActiveWorkspace() {
+    const ws = activeWorkspace;
+    if (!ws) return;
+    if (workspaces.length < 2) { alert('This is the only workspace – create another one before deleting it.'); return; }
+    if (!window.confirm(`Delete workspace "${ws.name}" and its ${saved.length} saved setup(s)? Export it first if you may need it.`)) return;
+    runWorkspaceAction(async (db) => {
+      await deleteWorkspace(db, ws);
+      const rest = workspaces.filter((w) => w.id !== ws.id);
+      setWorkspaces(rest);
+      showWorkspace(rest[0], await loadWorkspaceRows(db, rest[0]));
+    });
+  }
+  function exportWorkspace() {
+    if (!activeWorkspace) return;
+    downloadBlob(`${activeWorkspace.name.replace(/\s+/g, '_')}.workspace.json`, 'application/json', workspaceToJSON(activeWorkspace, saved));
+  }
+  const workspaceFileRef = useRef(null);
+  async function onWorkspaceFile(e) {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    let parsedFile;
+    try {
+      parsedFile = workspaceFromJSON(await file.text());
+    } catch (err) {
+      alert(`Could not read ${file.name}: ${err && err.message ? err.message : err}`);
+      return;
+    }
+    const { name, rows, errors, migrated } = parsedFile;
+    const taken = new Set(workspaces.map((w) => w.name));
+    let unique = name;
+    for (let n = 2; taken.has(unique); n++) unique = `${name} (${n})`;
+    await runWorkspaceAction(async (db) => {
+      const ws = await createWorkspace(db, unique, rows);
+      setWorkspaces((list) => [...list, ws]);
+      showWorkspace(ws, rows);
+      if (errors.length || migrated) setWorkspaceImport({ fileName: file.name, name: unique, imported: rows.length, errors, migrated });
+    });
+  }
+  // Result of the last workspace import while it has skipped or upgraded rows to report
+  const [workspaceImport, setWorkspaceImport] = useState(null);
 
   function buildRow() {
     return {
-      id: `${Date.now()}_${Math.random().toString(36).slice(2,8)}`,
+      schemaVersion: SETUP_SCHEMA_VERSION,
+      id: newRowId(),
       name: setupName.trim() || `Setup ${saved.length + 1}`,
-      country, pricingMode,
+      country, pricingMode, postcode, shipDate,
       units, styleId, L: parsed.L, W: parsed.W, H: parsed.H, boardMM: parsed.boardMM,
+      boardGrade, boardPricePerM2USD: Number(boardPricePerM2USD) || 0, boxOrderQty: Number(boxOrderQty) || 0,
       divisorId, battery, actualW: parsed.actualW,
-      qty: parsed.qty, priceUSD, productCostUSD, variableFeePct, refundFeePct,
-      rates,
-      derived: {
-        volWeight: calc.volWeight, chargeable: calc.chargeable, chargeableKg,
-        shippingCNY, shippingUSD,
-        shippingPerUnitUSD, costPerUnitUSD, totalCostUSD,
-        breakdown: breakdownCharge, // store chargeable basis breakdown for CSV/back-compat
-      }
+      qty: parsed.qty, unitWeight: parsed.unitWeight, unitsPerBox: parsed.unitsPerBox,
+      // Inputs hold strings while typing; rows store numbers (SETUP_SCHEMA)
+      priceUSD: Number(priceUSD) || 0, productCostUSD: Number(productCostUSD) || 0,
+      variableFeePct: Number(variableFeePct) || 0, refundFeePct: Number(refundFeePct) || 0,
+      targetMarginPct: Number(targetMarginPct) || 0,
+      feeProfile, feeCategory, customFeeFixedUSD: Number(customFeeFixedUSD) || 0, customFeeMinUSD: Number(customFeeMinUSD) || 0,
+      declaredValueUSD: Number(declaredValueUSD) || 0, hsCode, dutyPct: Number(dutyPct) || 0,
+      rates: Object.fromEntries(Object.entries(rates).map(([k, v]) => [k, Number(v)])),
+      rateVersion: rateVersionOf(quote),
+      quotedAt: new Date().toISOString(),
+      derived: derivedFromQuote(quote),
     };
   }
 
   function saveCurrent() { setSaved((arr) => [buildRow(), ...arr]); setSetupName(""); }
+  // Rows are migrated to SETUP_SCHEMA_VERSION on load/import, so every field is present
   function loadRow(row) {
-    setCountry(row.country || 'United States'); setPricingMode(row.pricingMode || 'sheet');
+    setCountry(row.country); setPricingMode(row.pricingMode);
+    setPostcode(row.postcode); if (row.shipDate) setShipDate(row.shipDate);
     setUnits(row.units); setStyleId(row.styleId);
     setL(row.L); setW(row.W); setH(row.H); setBoardMM(row.boardMM);
+    setBoardGrade(row.boardGrade); setBoardPricePerM2USD(row.boardPricePerM2USD); setBoxOrderQty(row.boxOrderQty);
     setDivisorId(row.divisorId); setBattery(row.battery); setActualW(row.actualW);
-    setQty(row.qty); setPriceUSD(row.priceUSD || 0); setProductCostUSD(row.productCostUSD || 0);
-    setVariableFeePct(row.variableFeePct || 0); setRefundFeePct(row.refundFeePct || 0);
-    setRates(row.rates || DEFAULT_RATES);
+    setQty(row.qty); setUnitWeight(row.unitWeight); setUnitsPerBox(row.unitsPerBox); setPriceUSD(row.priceUSD); setProductCostUSD(row.productCostUSD);
+    setVariableFeePct(row.variableFeePct); setRefundFeePct(row.refundFeePct); setTargetMarginPct(row.targetMarginPct);
+    setFeeProfile(row.feeProfile); setFeeCategory(row.feeCategory); setCustomFeeFixedUSD(row.customFeeFixedUSD); setCustomFeeMinUSD(row.customFeeMinUSD);
+    setDeclaredValueUSD(row.declaredValueUSD); setHsCode(row.hsCode); setDutyPct(row.dutyPct);
+    setRates(row.rates);
     window.scrollTo({ top: 0, behavior: 'smooth' });
   }
-  function deleteRow(id) { setSaved((arr) => arr.filter((r) => r.id !== id)); }
+  function deleteRow(id) { setSaved((arr) => arr.filter((r) => r.id !== id)); setSelectedIds((ids) => ids.filter((x) => x !== id)); }
+
+  // Share link: the form lives in the URL hash; restored once on load, then kept in sync
+  const [shareReady, setShareReady] = useState(false);
+  const [linkErrors, setLinkErrors] = useState([]);
+  const [copied, setCopied] = useState(false);
+  useEffect(() => {
+    try {
+      if (typeof window === 'undefined' || !window.location.hash) return;
+      const { setup, errors } = setupFromShareParams(window.location.hash);
+      const setters = {
+        units: setUnits, styleId: setStyleId, L: setL, W: setW, H: setH, boardMM: setBoardMM, divisorId: setDivisorId,
+        boardGrade: setBoardGrade, boardPricePerM2USD: setBoardPricePerM2USD, boxOrderQty: setBoxOrderQty,
+        battery: setBattery, actualW: setActualW, country: setCountry, pricingMode: setPricingMode, postcode: setPostcode,
+        shipDate: setShipDate, qty: setQty, unitWeight: setUnitWeight, unitsPerBox: setUnitsPerBox, priceUSD: setPriceUSD,
+        productCostUSD: setProductCostUSD, variableFeePct: setVariableFeePct, refundFeePct: setRefundFeePct,
+        targetMarginPct: setTargetMarginPct, feeProfile: setFeeProfile, feeCategory: setFeeCategory,
+        customFeeFixedUSD: setCustomFeeFixedUSD, customFeeMinUSD: setCustomFeeMinUSD,
+        declaredValueUSD: setDeclaredValueUSD, hsCode: setHsCode, dutyPct: setDutyPct,
+      };
+      for (const [k, v] of Object.entries(setup)) if (setters[k]) setters[k](v);
+      const grade = findBoardGrade(setup.boardGrade); // a link without boardMM keeps the form's thickness
+      if (grade && grade.thicknessMM !== null) setBoardMM(grade.thicknessMM);
+      if (setup.rates) setRates((r) => ({ ...r, ...setup.rates }));
+      setLinkErrors(errors);
+    } catch (e) { /* ignore */ } finally { setShareReady(true); }
+  }, []);
+  const shareParams = useMemo(() => setupToShareParams({ ...quoteInput, styleId }), [quoteInput, styleId]);
+  useEffect(() => {
+    try { if (shareReady) window.history.replaceState(null, '', `#${shareParams}`); } catch (e) { /* ignore */ }
+  }, [shareReady, shareParams]);
+  async function copyLink() {
+    const url = window.location.href.split('#')[0] + '#' + shareParams;
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true); setTimeout(() => setCopied(false), 1500);
+    } catch (e) {
+      window.prompt('Copy this link:', url);
+    }
+  }
+
+  // Re-quote: recompute every saved row against the tables in force today
+  const [requote, setRequote] = useState(null); // { at, rows: [{ id, name, oldCNY, newCNY, deltaCNY, oldVersion, newVersion, quote }] }
+  function requoteRows(list) {
+    if (!list.length) { alert('No saved setups yet.'); return; }
+    const rows = list.map((row) => {
+      const q = computeQuote(row, { tables: currentRateTables });
+      const oldCNY = Number(row.derived && row.derived.shippingCNY) || 0;
+      return {
+        id: row.id, name: row.name, oldCNY, newCNY: q.shippingCNY, deltaCNY: q.shippingCNY - oldCNY,
+        oldVersion: row.rateVersion || null, newVersion: rateVersionOf(q), quote: q,
+      };
+    }).sort((a, b) => b.deltaCNY - a.deltaCNY);
+    setRequote({ at: new Date().toISOString(), rows });
+  }
+  function applyRequote() {
+    if (!requote) return;
+    const byId = new Map(requote.rows.map((r) => [r.id, r]));
+    setSaved((arr) => arr.map((row) => {
+      const r = byId.get(row.id);
+      return r ? { ...row, rateVersion: r.newVersion, quotedAt: requote.at, derived: derivedFromQuote(r.quote) } : row;
+    }));
+    setRequote(null);
+  }
+  // CSV import of saved setups: { fileName, rows, errors } until merged/replaced
+  const [setupImport, setSetupImport] = useState(null);
+  const setupFileRef = useRef(null);
+  async function onSetupFile(e) {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { rows, errors } = setupsFromCSV(await file.text(), {
+        tables: currentRateTables, defaults: { rates, shipDate: todayISO() },
+      });
+      setSetupImport({ fileName: file.name, rows, errors });
+    } catch (err) {
+      alert(`Could not read ${file.name}: ${err && err.message ? err.message : err}`);
+    }
+  }
+  // JSON: a single setup loads into the form; a list goes through the same merge/replace preview
+  const setupJSONRef = useRef(null);
+  async function onSetupJSONFile(e) {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { kind, rows, errors, migrated } = setupsFromJSON(await file.text(), { tables: currentRateTables });
+      if (kind === 'single') {
+        if (errors.length) alert(`Could not load ${file.name}: ${errors[0].message}`);
+        else loadRow(rows[0]);
+        return;
+      }
+      setSetupImport({ fileName: file.name, rows, errors, migrated });
+    } catch (err) {
+      alert(`Could not read ${file.name}: ${err && err.message ? err.message : err}`);
+    }
+  }
+  function applySetupImport(mode) {
+    if (!setupImport) return;
+    setSaved((arr) => mergeSavedRows(arr, setupImport.rows, mode).list);
+    setSetupImport(null);
+  }
   function renameRow(id, newName) { setSaved((arr) => arr.map((r) => r.id === id ? { ...r, name: newName } : r)); }
+  function setRowTags(id, tags) { setSaved((arr) => arr.map((r) => r.id === id ? { ...r, tags: normalizeTags(tags) } : r)); }
+  function duplicateRow(id) {
+    setSaved((arr) => arr.flatMap((r) => (r.id === id ? [r, duplicateSetup(r)] : [r])));
+  }
+
+  // Saved list manager: search/filter/sort the view; bulk actions work on the selected ids
+  const [savedFilters, setSavedFilters] = useState({ query: '', battery: 'all', country: 'all', styleId: 'all', tag: '' });
+  const [savedSort, setSavedSort] = useState({ id: 'saved', dir: 'asc' });
+  const [selectedIds, setSelectedIds] = useState([]);
+  const visibleSaved = useMemo(
+    () => sortSavedRows(filterSavedRows(saved, savedFilters), savedSort.id, savedSort.dir),
+    [saved, savedFilters, savedSort],
+  );
+  const savedCountries = useMemo(() => [...new Set(saved.map((r) => r.country))].sort(), [saved]);
+  const savedTags = useMemo(() => [...new Set(saved.flatMap((r) => r.tags || []))].sort(), [saved]);
+  const selectedRows = saved.filter((r) => selectedIds.includes(r.id));
+  const allVisibleSelected = visibleSaved.length > 0 && visibleSaved.every((r) => selectedIds.includes(r.id));
+  function toggleSelected(id) {
+    setSelectedIds((ids) => (ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id]));
+  }
+  function toggleAllVisible() {
+    const ids = visibleSaved.map((r) => r.id);
+    setSelectedIds((cur) => (allVisibleSelected ? cur.filter((x) => !ids.includes(x)) : [...new Set([...cur, ...ids])]));
+  }
+  function deleteSelected() {
+    if (!selectedRows.length || !window.confirm(`Delete ${selectedRows.length} saved setup(s)?`)) return;
+    setSaved((arr) => arr.filter((r) => !selectedIds.includes(r.id)));
+    setSelectedIds([]);
+  }
+  function setFilter(patch) { setSavedFilters((f) => ({ ...f, ...patch })); }
+
+  // Comparison of selected saved setups (ids in saved order), re-quoted with today's rates
+  const [compare, setCompare] = useState(null); // { ids, baselineId }
+  const comparison = useMemo(() => {
+    if (!compare) return null;
+    const rows = compare.ids.map((id) => saved.find((r) => r.id === id)).filter(Boolean);
+    return rows.length ? compareSetups(rows, { tables: currentRateTables, baselineId: compare.baselineId }) : null;
+  }, [compare, saved, currentRateTables]);
+  function compareSelected() {
+    if (selectedRows.length < 2) { alert('Select at least two saved setups to compare.'); return; }
+    setCompare({ ids: selectedRows.map((r) => r.id), baselineId: selectedRows[0].id });
+  }
 
   // -----------------------------
   // Downloads (JSON/CSV/Preview)
@@ -540,9 +1247,13 @@ export default function PackagingBoxDesigner() {
     const row = buildRow();
     downloadBlob(`${row.name.replace(/\s+/g,'_')}.json`, 'application/json', JSON.stringify(row, null, 2));
   }
-  function downloadSavedCSV() {
-    if (!saved.length) { alert('No saved setups yet.'); return; }
-    const csv = rowsToCSV(saved);
+  function downloadSavedJSON(rows = saved) {
+    if (!rows.length) { alert('No saved setups yet.'); return; }
+    downloadBlob('box_setups.json', 'application/json', savedSetupsToJSON(rows));
+  }
+  function downloadSavedCSV(rows = saved) {
+    if (!rows.length) { alert('No saved setups yet.'); return; }
+    const csv = rowsToCSV(rows);
     downloadBlob('box_setups.csv', 'text/csv;charset=utf-8', csv);
   }
 
@@ -590,14 +1301,30 @@ export default function PackagingBoxDesigner() {
             </div>
             <div className="mx-2 hidden h-6 w-px bg-slate-200 sm:block" />
             <button onClick={downloadCurrentJSON} className="rounded-xl border border-slate-300 px-3 py-1.5 text-xs hover:bg-slate-50">Download setup (JSON)</button>
-            <button onClick={downloadSavedCSV} className="rounded-xl border border-slate-300 px-3 py-1.5 text-xs hover:bg-slate-50">Download saved (CSV)</button>
+            <button onClick={() => downloadSavedCSV()} className="rounded-xl border border-slate-300 px-3 py-1.5 text-xs hover:bg-slate-50">Download saved (CSV)</button>
+            <button onClick={() => setupFileRef.current && setupFileRef.current.click()} className="rounded-xl border border-slate-300 px-3 py-1.5 text-xs hover:bg-slate-50">Import CSV</button>
+            <input ref={setupFileRef} type="file" accept=".csv,text/csv" className="hidden" onChange={onSetupFile} />
+            <button onClick={() => downloadSavedJSON()} className="rounded-xl border border-slate-300 px-3 py-1.5 text-xs hover:bg-slate-50">Download saved (JSON)</button>
+            <button onClick={() => setupJSONRef.current && setupJSONRef.current.click()} className="rounded-xl border border-slate-300 px-3 py-1.5 text-xs hover:bg-slate-50">Import JSON</button>
+            <input ref={setupJSONRef} type="file" accept=".json,application/json" className="hidden" onChange={onSetupJSONFile} />
+            <button onClick={copyLink} className="rounded-xl border border-slate-300 px-3 py-1.5 text-xs hover:bg-slate-50">{copied ? 'Link copied' : 'Copy link'}</button>
             <button onClick={downloadPreview} className="rounded-xl border border-slate-900 bg-slate-900 px-3 py-1.5 text-xs text-white hover:opacity-90">Download preview</button>
           </div>
         </header>
 
+        {storageError && <ErrorBanner message={storageError} />}
+        {linkErrors.length > 0 && (
+          <ErrorBanner message={`Some values in the link were ignored: ${linkErrors.map((e) => `${e.field} ${e.message}`).join('; ')}.`} />
+        )}
         {repaired && (
           <ErrorBanner message={`Your divisor selection didn't match the current unit system. I auto-corrected it to a valid profile.`} />
         )}
+        {sheetUnavailable && (
+          <ErrorBanner message={`${sheetUnavailable} Shipping is not quoted – pick another country/battery line or switch to Manual per-kg.`} />
+        )}
+        {laneViolations.length > 0 && (
+          <ErrorBanner message={`Not shippable on the ${country} lane: ${laneViolations.join('; ')}. Shipping is not quoted.`} />
+        )}
 
         <div className="grid grid-cols-1 gap-6 lg:grid-cols-5">
           {/* Left column: controls */}
@@ -623,18 +1350,64 @@ export default function PackagingBoxDesigner() {
                 <div>
                   <div className="mb-1 text-xs text-slate-500">Country</div>
                   <select value={country} onChange={(e)=>setCountry(e.target.value)} className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm">
-                    <option>United States</option>
+                    {countryOptions.map((c) => (<option key={c} value={c}>{tableHasRates(rateTables[c]) ? c : `${c} (no sheet – import one)`}</option>))}
+                    {!countryOptions.includes(country) && (<option value={country}>{country} (no sheet)</option>)}
                   </select>
                 </div>
                 <div>
                   <div className="mb-1 text-xs text-slate-500">Pricing mode</div>
                   <select value={pricingMode} onChange={(e)=>setPricingMode(e.target.value)} className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm">
-                    <option value="sheet">Sheet (US)</option>
+                    <option value="sheet">Sheet (YunExpress)</option>
                     <option value="manual">Manual per-kg</option>
                   </select>
                 </div>
               </div>
 
+              <div className="mt-3 grid grid-cols-2 gap-3">
+                <div>
+                  <div className="mb-1 text-xs text-slate-500">Destination postcode</div>
+                  <input value={postcode} onChange={(e)=>setPostcode(e.target.value)} placeholder="for remote-area rules" className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm" />
+                </div>
+                <div>
+                  <div className="mb-1 text-xs text-slate-500">Ship date</div>
+                  <input type="date" value={shipDate} onChange={(e)=>setShipDate(e.target.value)} className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm" />
+                </div>
+              </div>
+
+              {/* Price sheet source + import */}
+              <div className="mt-2 flex flex-wrap items-center justify-between gap-2 text-[11px] text-slate-500">
+                <span>
+                  Rates: {rateTable && !tableHasRates(rateTable) ? 'no sheet for this lane – import the current YunExpress sheet' : rateTable ? `${rateTable.version || 'unversioned'}${rateTable.effectiveDate ? ` · effective ${rateTable.effectiveDate}` : ''}` : `none in force on ${shipDate || 'this date'}`}
+                  {rateTable && rateTable.source && ` · imported from ${rateTable.source.fileName}`}
+                  {tableVersionsFor(country, rateVersions).length > 1 && ` · ${tableVersionsFor(country, rateVersions).length} versions`}
+                  {rateTable && (rateVersions[country] || []).some((t) => t.version === rateTable.version) && (
+                    <button onClick={() => removeActiveRateVersion(country)} className="ml-2 underline hover:text-slate-700">
+                      {YUNEXPRESS_TABLES[country] && rateTable.version === YUNEXPRESS_TABLES[country].version ? 'reset' : 'remove version'}
+                    </button>
+                  )}
+                </span>
+                <button onClick={() => sheetFileRef.current && sheetFileRef.current.click()} className="rounded-lg border border-slate-300 px-2 py-1 hover:bg-slate-50">Import price sheet (XLSX/CSV)</button>
+                <input ref={sheetFileRef} type="file" accept=".xlsx,.xls,.csv,text/csv" className="hidden" onChange={onSheetFile} />
+              </div>
+              {sheetImport && (
+                <SheetImportPreview
+                  preview={sheetImport}
+                  tables={rateTables}
+                  countries={countryOptions}
+                  onOptions={setSheetImportOptions}
+                  onMeta={setSheetImportMeta}
+                  onApply={applySheetImport}
+                  onCancel={() => setSheetImport(null)}
+                />
+              )}
+
+              {pricingMode === 'sheet' && rateTable && (
+                <>
+                  <SurchargeEditor country={country} rules={rateTable.surcharges || []} onChange={(rules) => setTableSurcharges(country, rules)} />
+                  <LaneLimitsEditor country={country} limits={rateTable.limits} weightCapKg={laneLimitsOf({ ...rateTable, limits: null }, battery).maxWeightKg} onChange={(limits) => setTableLimits(country, limits)} />
+                </>
+              )}
+
               {/* Presets */}
               <div className="mt-4">
                 <div className="mb-1 text-xs text-slate-500">Quick presets</div>
@@ -647,6 +1420,8 @@ export default function PackagingBoxDesigner() {
                 </div>
               </div>
 
+              <ProductFitPanel units={units} boardMM={parsed.boardMM} quoteInput={quoteInput} tables={rateTables} onUse={(d) => { setL(d.L); setW(d.W); setH(d.H); }} />
+
               {/* Dimensions */}
               <div className="mt-4 mb-2 flex items-end justify-between">
                 <label className="text-sm font-medium">Outer dimensions</label>
@@ -662,10 +1437,22 @@ export default function PackagingBoxDesigner() {
                 <div><div className="mb-1 text-xs text-slate-500">Height ({dimUnit})</div><input type="number" value={H} onChange={(e) => setH(e.target.value)} className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-slate-400" step="0.1" min={0} /></div>
               </div>
 
-              {/* Board thickness & actual weight */}
+              {/* Board grade, thickness & actual weight */}
               <div className="mt-4 grid grid-cols-2 gap-3">
-                <div><div className="mb-1 text-xs text-slate-500">Board thickness (mm)</div><input type="number" value={boardMM} onChange={(e) => setBoardMM(e.target.value)} className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-slate-400" step="0.1" min={0} /></div>
-                <div><div className="mb-1 text-xs text-slate-500">Actual scale weight ({actualWeightUnit})</div><input type="number" value={actualW} onChange={(e) => setActualW(e.target.value)} className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-slate-400" step="0.01" min={0} /></div>
+                <div>
+                  <div className="mb-1 text-xs text-slate-500">Board grade</div>
+                  <select value={boardGrade} onChange={(e) => { const g = findBoardGrade(e.target.value); setBoardGrade(e.target.value); if (g && g.thicknessMM !== null) setBoardMM(g.thicknessMM); }} className="w-full rounded-xl border border-slate-300 bg-white px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-slate-400">
+                    {BOARD_GRADES.map((g) => (<option key={g.id} value={g.id}>{g.label}{g.thicknessMM !== null ? ` · ${g.thicknessMM} mm · ${g.gsm} g/m²` : ''}</option>))}
+                  </select>
+                </div>
+                {boardGrade === 'custom' ? (
+                  <div><div className="mb-1 text-xs text-slate-500">Board price (USD/m²)</div><input type="number" value={boardPricePerM2USD} onChange={(e) => setBoardPricePerM2USD(e.target.value)} className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-slate-400" step="0.01" min={0} /></div>
+                ) : (
+                  <div><div className="mb-1 text-xs text-slate-500">Board price (USD/m², at 1000 boxes)</div><div className="px-1 py-2 text-sm">${packaging.grade.pricePerM2USD.toFixed(2)}</div></div>
+                )}
+                <div><div className="mb-1 text-xs text-slate-500">Board thickness (mm)</div><input type="number" value={boardGrade === 'custom' ? boardMM : parsed.boardMM} onChange={(e) => setBoardMM(e.target.value)} disabled={boardGrade !== 'custom'} title={boardGrade !== 'custom' ? 'Set by the board grade' : undefined} className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-slate-400 disabled:bg-slate-100 disabled:text-slate-400" step="0.1" min={0} /></div>
+                <div><div className="mb-1 text-xs text-slate-500">Boxes ordered (price break)</div><input type="number" value={boxOrderQty} onChange={(e) => setBoxOrderQty(e.target.value)} className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-slate-400" step="100" min={0} /></div>
+                <div><div className="mb-1 text-xs text-slate-500">Actual scale weight ({actualWeightUnit})</div><input type="number" value={actualW} onChange={(e) => setActualW(e.target.value)} disabled={multiParcel} title={multiParcel ? 'Multi-parcel: weight = units × weight per unit' : undefined} className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-slate-400 disabled:bg-slate-100 disabled:text-slate-400" step="0.01" min={0} /></div>
               </div>
 
               {/* Divisor */}
@@ -678,10 +1465,46 @@ export default function PackagingBoxDesigner() {
               <h3 className="mt-6 mb-2 text-sm font-medium">Commercial inputs</h3>
               <div className="grid grid-cols-2 gap-3">
                 <div><div className="mb-1 text-xs text-slate-500">Quantity (units in this shipment)</div><input type="number" value={qty} onChange={(e) => setQty(e.target.value)} className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-slate-400" min={1} step={1} /></div>
+                <div><div className="mb-1 text-xs text-slate-500">Units per box (0 = all in one box)</div><input type="number" value={unitsPerBox} onChange={(e) => setUnitsPerBox(e.target.value)} className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm" min={0} step={1} /></div>
+                {multiParcel && (
+                  <div><div className="mb-1 text-xs text-slate-500">Weight per unit ({actualWeightUnit})</div><input type="number" value={unitWeight} onChange={(e) => setUnitWeight(e.target.value)} className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm" min={0} step="0.001" /></div>
+                )}
                 <div><div className="mb-1 text-xs text-slate-500">Selling price per unit (USD)</div><input type="number" value={priceUSD} onChange={(e) => setPriceUSD(e.target.value)} className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm" min={0} step="0.01" /></div>
                 <div><div className="mb-1 text-xs text-slate-500">Product cost per unit (USD)</div><input type="number" value={productCostUSD} onChange={(e) => setProductCostUSD(e.target.value)} className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm" min={0} step="0.01" /></div>
-                <div><div className="mb-1 text-xs text-slate-500">Variable fee (% of price)</div><input type="number" value={variableFeePct} onChange={(e) => setVariableFeePct(e.target.value)} className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm" min={0} step="0.01" /></div>
+                <div>
+                  <div className="mb-1 text-xs text-slate-500">Marketplace fees</div>
+                  <select value={feeProfile} onChange={(e) => { setFeeProfile(e.target.value); setFeeCategory(''); }} className="w-full rounded-xl border border-slate-300 bg-white px-3 py-2 text-sm">
+                    {FEE_PROFILES.map((f) => (<option key={f.id} value={f.id}>{f.label}</option>))}
+                  </select>
+                </div>
+                {activeFeeProfile && activeFeeProfile.categories && (
+                  <div>
+                    <div className="mb-1 text-xs text-slate-500">Category</div>
+                    <select value={feeCategory || activeFeeProfile.categories[0].id} onChange={(e) => setFeeCategory(e.target.value)} className="w-full rounded-xl border border-slate-300 bg-white px-3 py-2 text-sm">
+                      {activeFeeProfile.categories.map((c) => (<option key={c.id} value={c.id}>{c.label} ({c.pct}%)</option>))}
+                    </select>
+                  </div>
+                )}
+                {feeProfile === 'custom' && (
+                  <>
+                    <div><div className="mb-1 text-xs text-slate-500">Variable fee (% of price)</div><input type="number" value={variableFeePct} onChange={(e) => setVariableFeePct(e.target.value)} className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm" min={0} step="0.01" /></div>
+                    <div><div className="mb-1 text-xs text-slate-500">Fixed fee per order (USD)</div><input type="number" value={customFeeFixedUSD} onChange={(e) => setCustomFeeFixedUSD(e.target.value)} className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm" min={0} step="0.01" /></div>
+                    <div><div className="mb-1 text-xs text-slate-500">Minimum fee (USD)</div><input type="number" value={customFeeMinUSD} onChange={(e) => setCustomFeeMinUSD(e.target.value)} className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm" min={0} step="0.01" /></div>
+                  </>
+                )}
                 <div><div className="mb-1 text-xs text-slate-500">Refund fee (% of price)</div><input type="number" value={refundFeePct} onChange={(e) => setRefundFeePct(e.target.value)} className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm" min={0} step="0.01" /></div>
+                <div><div className="mb-1 text-xs text-slate-500">Target margin (% of price)</div><input type="number" value={targetMarginPct} onChange={(e) => setTargetMarginPct(e.target.value)} className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm" min={0} max={99} step="0.5" /></div>
+              </div>
+
+              {/* Customs – duties + VAT/GST for the selected country */}
+              <h3 className="mt-6 mb-2 text-sm font-medium">Customs ({country})</h3>
+              <div>
+                <div className="grid grid-cols-3 gap-3">
+                  <div><div className="mb-1 text-xs text-slate-500">Declared value per unit (USD, 0 = price)</div><input type="number" value={declaredValueUSD} onChange={(e) => setDeclaredValueUSD(e.target.value)} className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm" min={0} step="0.01" /></div>
+                  <div><div className="mb-1 text-xs text-slate-500">HS code</div><input value={hsCode} onChange={(e) => setHsCode(e.target.value)} placeholder="e.g. 4819.10" className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm" /></div>
+                  <div><div className="mb-1 text-xs text-slate-500">Duty rate (%)</div><input type="number" value={dutyPct} onChange={(e) => setDutyPct(e.target.value)} className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm" min={0} step="0.1" /></div>
+                </div>
+                <div className="mt-1 text-xs text-slate-500">{customsRule ? customsRule.note : `No customs rules for ${country} – duties and taxes are not included.`}</div>
               </div>
 
               {/* Rates – Manual (only when pricingMode==='manual') */}
@@ -705,34 +1528,48 @@ export default function PackagingBoxDesigner() {
                 <div><div className="text-slate-500">Inner volume (board-adjusted)</div><div className="text-base font-semibold">{(calc.innerVolume).toFixed(0)} {volUnit}</div></div>
                 <div><div className="text-slate-500">Volumetric weight</div><div className="text-base font-semibold">{calc.volWeight.toFixed(2)} {weightUnit}</div></div>
                 <div><div className="text-slate-500">Chargeable weight</div><div className="text-base font-semibold">{calc.chargeable.toFixed(2)} {weightUnit} ({chargeableKg.toFixed(2)} kg)</div></div>
-                <div><div className="text-slate-500">Surface area (outer)</div><div className="text-base font-semibold">{calc.surfaceArea.toFixed(0)} {normalizeUnits(units) === "cm" ? "cm²" : "in²"}</div></div>
-                <div><div className="text-slate-500">Inner dims</div><div className="text-base font-semibold">{calc.inner.L.toFixed(1)} × {calc.inner.W.toFixed(1)} × {calc.inner.H.toFixed(1)} {dimUnit}</div></div>
+                <div><div className="text-slate-500">Board area (blank)</div><div className="text-base font-semibold">{calc.surfaceArea.toFixed(0)} {normalizeUnits(units) === "cm" ? "cm²" : "in²"}</div></div>
+                <div><div className="text-slate-500" title={`Board layers L/W/H: ${calc.layers.L}/${calc.layers.W}/${calc.layers.H} (${styleName})`}>Inner dims ({styleId.toUpperCase()})</div><div className="text-base font-semibold">{calc.inner.L.toFixed(1)} × {calc.inner.W.toFixed(1)} × {calc.inner.H.toFixed(1)} {dimUnit}</div></div>
               </div>
 
               <div className="mt-4 grid grid-cols-1 gap-3 rounded-2xl bg-slate-50 p-3 text-sm">
                 <div className="flex flex-wrap items-center justify-between gap-3">
                   <div>
                     <div className="text-slate-500">Shipping (YunExpress)</div>
-                    <div className="text-base font-semibold">{shippingCNY.toFixed(2)} CNY · ${shippingUSD.toFixed(2)} USD</div>
+                    <div className="text-base font-semibold">{sheetUnavailable ? 'Not offered' : laneViolations.length ? 'Not shippable' : `${shippingCNY.toFixed(2)} CNY · $${shippingUSD.toFixed(2)} USD`}</div>
                   </div>
                   <div className="text-xs text-slate-600">{pricingMode === 'sheet' ? 'Sheet pricing' : 'Manual'} · {country} · Battery: <span className="font-medium">{battery ? 'Built-in' : 'No'}</span> · FX: {rates.cnyPerUSD} CNY/USD</div>
                 </div>
-                {breakdownCharge && <div className="text-xs text-slate-600">{breakdownCharge}</div>}
+                {multiParcel ? (
+                  <div className="rounded-xl border border-slate-200 bg-white p-2 text-xs">
+                    <div className="mb-1 font-medium">{parcelCount} parcel{parcelCount === 1 ? '' : 's'} for {parsed.qty} units ({parsed.unitsPerBox} per box)</div>
+                    <ul className="space-y-1">
+                      {parcelGroups.map((g) => (
+                        <li key={`${g.units}_${g.count}`} className="flex flex-wrap justify-between gap-2">
+                          <span className="text-slate-600">{g.count} × {g.units === parsed.unitsPerBox ? 'full' : 'partial'} ({g.units} units · {g.actualKg.toFixed(3)} kg actual · {g.chargeableKg.toFixed(3)} kg chargeable)</span>
+                          <span className="font-semibold">{g.shippable ? `${g.resCharge.totalCNY.toFixed(2)} CNY each` : 'not shippable'}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ) : (
+                  breakdownCharge && <div className="text-xs text-slate-600">{breakdownCharge}</div>
+                )}
 
                 {/* Compare: volumetric vs actual */}
                 <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
                   <div className="rounded-xl border border-slate-200 bg-white p-2">
-                    <div className="text-slate-500">Based on volumetric weight</div>
+                    <div className="text-slate-500">Based on volumetric weight{multiParcel ? ' (per full parcel)' : ''}</div>
                     <div className="text-sm font-semibold">
-                      {resVol.totalCNY.toFixed(2)} CNY · ${volShippingUSD.toFixed(2)} USD
+                      {sheetUnavailable ? 'Not offered' : `${resVol.totalCNY.toFixed(2)} CNY · $${volShippingUSD.toFixed(2)} USD`}
                     </div>
                     {breakdownVol && <div className="mt-1 text-xs text-slate-600">{breakdownVol}</div>}
                     <div className="mt-1 text-[11px] text-slate-500">Vol: {volKg.toFixed(3)} kg</div>
                   </div>
                   <div className="rounded-xl border border-slate-200 bg-white p-2">
-                    <div className="text-slate-500">Based on actual weight</div>
+                    <div className="text-slate-500">Based on actual weight{multiParcel ? ' (per full parcel)' : ''}</div>
                     <div className="text-sm font-semibold">
-                      {resActual.totalCNY.toFixed(2)} CNY · ${actualShippingUSD.toFixed(2)} USD
+                      {sheetUnavailable ? 'Not offered' : `${resActual.totalCNY.toFixed(2)} CNY · $${actualShippingUSD.toFixed(2)} USD`}
                     </div>
                     {hasActual ? (
                       <>
@@ -745,13 +1582,60 @@ export default function PackagingBoxDesigner() {
                   </div>
                 </div>
 
+                {!sheetUnavailable && <CostWeightChart curves={chartCurves} markers={chartMarkers} maxKg={chartMaxKg} onRange={setChartMaxKg} />}
+
+                {(advice.shrink.length > 0 || advice.stepUp) && (
+                  <div className="rounded-xl border border-amber-200 bg-amber-50 p-2 text-xs">
+                    <div className="mb-1 font-medium text-amber-900">Bracket advisor</div>
+                    <ul className="space-y-1 text-amber-900">
+                      {advice.shrink.slice(0, 3).map((a) => (
+                        <li key={`${a.axis}_${a.to}`}>
+                          Reduce <span className="font-semibold">{a.axis}</span> by {a.delta.toFixed(1)} {dimUnit} ({a.from.toFixed(1)} → {a.to.toFixed(1)})
+                          {' '}→ {a.targetKg.toFixed(3)} kg{a.bracket ? `, bracket ${a.bracket.lo}–${a.bracket.hi} kg` : ''}: {a.priceCNY.toFixed(2)} CNY,
+                          {' '}<span className="font-semibold">save {a.saveCNY.toFixed(2)} CNY</span>
+                        </li>
+                      ))}
+                      {advice.stepUp && (
+                        <li>
+                          Bracket step at {advice.stepUp.boundaryKg} kg: {advice.stepUp.perKgAtBoundary.toFixed(1)} → {advice.stepUp.perKgAbove.toFixed(1)} CNY/kg.
+                          {' '}At {advice.stepUp.aboveKg.toFixed(3)} kg the parcel costs {advice.stepUp.priceAbove.toFixed(2)} CNY
+                          {advice.stepUp.cheaperThanNow
+                            ? <span className="font-semibold"> – less than the {advice.stepUp.parcelNow.toFixed(2)} CNY quoted now, despite the extra weight.</span>
+                            : ` (vs ${advice.stepUp.priceAtBoundary.toFixed(2)} CNY at ${advice.stepUp.boundaryKg} kg).`}
+                        </li>
+                      )}
+                    </ul>
+                  </div>
+                )}
+
                 <div className="text-[11px] text-slate-500">
                   Totals and per‑unit costs use <span className="font-medium">chargeable</span> (max of volumetric vs actual).
                 </div>
 
-                <div className="grid grid-cols-2 gap-3">
-                  <div><div className="text-slate-500">Variable fee per unit</div><div className="font-semibold">${variableFeeUSD.toFixed(2)} ({variableFeePct||0}%)</div></div>
-                  <div><div className="text-slate-500">Refund fee per unit</div><div className="font-semibold">${refundFeeUSD.toFixed(2)} ({refundFeePct||0}%)</div></div>
+                <div>
+                  <div className="mb-1 text-slate-500">Cost per unit · {activeFeeProfile ? activeFeeProfile.label : 'Custom'} fees</div>
+                  <table className="w-full text-xs">
+                    <tbody>
+                      <tr><td className="py-0.5">Product cost</td><td /><td className="text-right">${(Number(productCostUSD) || 0).toFixed(2)}</td></tr>
+                      <tr>
+                        <td className="py-0.5">Box ({packaging.grade.id === 'custom' ? 'board' : packaging.grade.label})</td>
+                        <td className="text-slate-500">
+                          {packaging.oversize ? 'blank larger than the sheet' : `${packaging.perSheet}/sheet`} · ${packaging.pricePerM2USD.toFixed(2)}/m² · ${packaging.materialPerBoxUSD.toFixed(2)}/box
+                          {packaging.belowMOQ && <span className="ml-1 text-amber-700">below MOQ {packaging.grade.moq}</span>}
+                        </td>
+                        <td className="text-right">${packagingPerUnitUSD.toFixed(2)}</td>
+                      </tr>
+                      {feeLines.map((l) => (
+                        <tr key={l.id}><td className="py-0.5">{l.label}</td><td className="text-slate-500">{l.detail}</td><td className="text-right">${l.amountUSD.toFixed(2)}</td></tr>
+                      ))}
+                      <tr><td className="py-0.5">Refund allowance</td><td className="text-slate-500">{refundFeePct || 0}%</td><td className="text-right">${refundFeeUSD.toFixed(2)}</td></tr>
+                      <tr><td className="py-0.5">Shipping</td><td /><td className="text-right">${shippingPerUnitUSD.toFixed(2)}</td></tr>
+                      {landedLines.map((l) => (
+                        <tr key={l.id}><td className="py-0.5">{l.label}</td><td className="text-slate-500">{l.detail}</td><td className="text-right">${l.amountUSD.toFixed(2)}</td></tr>
+                      ))}
+                      <tr className="border-t border-slate-200 font-semibold"><td className="py-0.5">Cost per unit</td><td className="font-normal text-slate-500">fees ${variableFeeUSD.toFixed(2)} · duties/taxes ${(dutiesPerUnitUSD + taxesPerUnitUSD).toFixed(2)}</td><td className="text-right">${costPerUnitUSD.toFixed(2)}</td></tr>
+                    </tbody>
+                  </table>
                 </div>
                 <div className="grid grid-cols-2 gap-3">
                   <div><div className="text-slate-500">Shipping per unit (USD)</div><div className="font-semibold">${shippingPerUnitUSD.toFixed(2)}</div></div>
@@ -759,66 +1643,214 @@ export default function PackagingBoxDesigner() {
                 </div>
                 <div><div className="text-slate-500">Total cost for quantity (USD)</div><div className="text-base font-semibold">${totalCostUSD.toFixed(2)} <span className="text-xs text-slate-400">({parsed.qty} units)</span></div></div>
 
+                {/* Profit & margin (needs a shipping quote) */}
+                {shippable ? (
+                  <div className="rounded-2xl border border-slate-200 p-3">
+                    <div className="mb-2 font-medium">Profit &amp; margin</div>
+                    <div className="grid grid-cols-2 gap-3">
+                      <div><div className="text-slate-500">Profit per unit</div><div className={`font-semibold ${profitPerUnitUSD < 0 ? 'text-rose-700' : ''}`}>${profitPerUnitUSD.toFixed(2)}</div></div>
+                      <div><div className="text-slate-500">Gross margin</div><div className={`font-semibold ${profitPerUnitUSD < 0 ? 'text-rose-700' : ''}`}>{marginPct === null ? '—' : `${marginPct.toFixed(1)}%`}</div></div>
+                      <div><div className="text-slate-500">Total profit ({parsed.qty} units)</div><div className="font-semibold">${totalProfitUSD.toFixed(2)}</div></div>
+                      <div><div className="text-slate-500" title="Price minus fees and shipping, before product cost">Contribution after shipping</div><div className="font-semibold">${contributionPerUnitUSD.toFixed(2)}</div></div>
+                      <div><div className="text-slate-500">Break-even price</div><div className="font-semibold">{breakEvenPriceUSD === null ? 'not reachable' : `$${breakEvenPriceUSD.toFixed(2)}`}</div></div>
+                      <div>
+                        <div className="text-slate-500">Price for {Number(targetMarginPct) || 0}% margin</div>
+                        <div className="flex items-center gap-2 font-semibold">
+                          {targetPriceUSD === null ? 'not reachable (fees + margin ≥ 100%)' : `$${targetPriceUSD.toFixed(2)}`}
+                          {targetPriceUSD !== null && (
+                            <button onClick={() => setPriceUSD(targetPriceUSD)} className="rounded-lg border border-slate-300 px-2 py-0.5 text-xs font-normal hover:bg-slate-50">Use</button>
+                          )}
+                        </div>
+                      </div>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="text-[11px] text-slate-500">Profit and margin need a shipping quote.</div>
+                )}
+
                 <div className="mt-2">
-                  <div className="mb-1 font-medium">Cross-carrier check</div>
-                  <ul className="grid grid-cols-1 gap-1 sm:grid-cols-2 text-xs">
-                    {crossProfiles.map((row) => (
-                      <li key={row.label} className="flex justify-between gap-2">
-                        <span className="text-slate-600">{row.label}</span>
-                        <span className="font-semibold">{row.value}</span>
-                      </li>
-                    ))}
-                  </ul>
+                  <div className="mb-1 font-medium">Carrier comparison</div>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-xs">
+                      <thead>
+                        <tr className="text-left text-slate-500">
+                          <th className="py-1 pr-2 font-normal">Carrier / divisor</th>
+                          <th className="py-1 pr-2 text-right font-normal">Vol kg</th>
+                          <th className="py-1 pr-2 text-right font-normal">Chargeable kg</th>
+                          <th className="py-1 pr-2 text-right font-normal">CNY</th>
+                          <th className="py-1 text-right font-normal">USD</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {carrierQuotes.map((q) => {
+                          const best = cheapestCarrier && q.id === cheapestCarrier.id;
+                          return (
+                            <tr key={q.id} className={`border-t border-slate-200 ${best ? 'bg-emerald-50 font-semibold' : ''}`} title={q.unavailable || q.detail}>
+                              <td className="py-1 pr-2">
+                                <div>{q.label}{best && <span className="ml-1 rounded bg-emerald-600 px-1 text-[10px] text-white">cheapest</span>}</div>
+                                <div className="font-normal text-[10px] text-slate-500">{q.divisorLabel}</div>
+                              </td>
+                              <td className="py-1 pr-2 text-right">{q.volKg.toFixed(2)}</td>
+                              <td className="py-1 pr-2 text-right">{q.chargeableKg.toFixed(2)}</td>
+                              {q.unavailable ? (
+                                <td colSpan={2} className="py-1 text-right font-normal text-slate-500">n/a</td>
+                              ) : (<>
+                                <td className="py-1 pr-2 text-right">{q.totalCNY.toFixed(2)}</td>
+                                <td className="py-1 text-right">${q.totalUSD.toFixed(2)}</td>
+                              </>)}
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
                 </div>
               </div>
 
               <p className="mt-3 text-[11px] leading-relaxed text-slate-500">
-                Notes: Sheet pricing uses fee-per-kg × billed weight (rounded up to 0.001 kg, min 0.03 kg) + item fee per parcel.
+                Notes: Sheet pricing uses fee-per-kg × billed weight (rounded up to {rateTable ? rateTable.roundStepKg : 0.001} kg, min {rateTable ? rateTable.minWeightKg : 0.03} kg) + item fee per parcel.
+                {rateTable && (() => {
+                  const lim = laneLimitsOf(rateTable, battery);
+                  const parts = [
+                    lim.maxWeightKg != null && `≤ ${lim.maxWeightKg} kg`, lim.maxSideCm != null && `longest side ≤ ${lim.maxSideCm} cm`,
+                    lim.maxGirthCm != null && `girth ≤ ${lim.maxGirthCm} cm`, lim.maxSumCm != null && `L+W+H ≤ ${lim.maxSumCm} cm`,
+                  ].filter(Boolean);
+                  const sizeSet = lim.maxSideCm != null || lim.maxGirthCm != null || lim.maxSumCm != null;
+                  return `${parts.length ? ` Lane limits (${country}): ${parts.join(', ')}.` : ''}${sizeSet ? '' : ' Size limits (side, girth, L+W+H) are not set for this lane – enter them under Lane limits.'}`;
+                })()}
                 The compare block shows prices if billed purely on volumetric vs purely on actual. Totals use the higher (chargeable).
-                Confirm surcharges or lane-specific adjustments with your account manager if needed.
+                Surcharge rules (fuel %, peak per-kg, remote postcode, oversize/overweight) are added after the base fee; fuel % applies to the base fee only.
+                Confirm the rule values with your account manager.
+                Carrier comparison bills each profile on its own divisor; the UPS/FedEx-style and economy rates are illustrative list prices.
               </p>
             </div>
           </section>
 
           {/* Right column: 3D/SVG preview + summary */}
           <section className="lg:col-span-3">
-            <div className="grid grid-rows-[1fr_auto] gap-4">
+            <div className="grid grid-rows-[1fr_auto_auto] gap-4">
               <div ref={previewRef} className="h-[520px] overflow-hidden rounded-3xl border border-slate-200 bg-white p-2 shadow-sm">
                 <div className="flex items-center justify-between px-3 pt-2">
                   <div>
                     <div className="text-sm font-medium">{canUseR3F && r3fLibs ? '3D Preview' : 'Isometric Preview (SVG)'} </div>
-                    <div className="text-xs text-slate-500">True proportions · orbit+zoom (WebGL) or static SVG</div>
+                    <div className="text-xs text-slate-500">True proportions + board thickness · orbit+zoom (WebGL) or static SVG</div>
+                  </div>
+                  <div className="flex items-center gap-3 text-xs text-slate-500">
+                    <label className="flex items-center gap-2" title="Fold the lid/flaps open or closed">
+                      Closed
+                      <input type="range" min="0" max="100" value={Math.round(fold * 100)} onChange={(e) => setFold(Number(e.target.value) / 100)} className="w-24" aria-label="Open or close the box" />
+                      Open
+                    </label>
+                    <button type="button" onClick={toggleFold} disabled={foldAnimating} className="rounded-lg border border-slate-200 px-2 py-1 hover:bg-slate-50 disabled:opacity-50">{fold > 0.5 ? 'Close' : 'Open'}</button>
+                    <span>Style: <span className="font-medium">{styleName}</span></span>
                   </div>
-                  <div className="text-xs text-slate-500">Style: <span className="font-medium">{styleName}</span></div>
                 </div>
                 <div className="h-[460px]">
                   {canUseR3F && r3fLibs ? (
                     <RenderBoundary fallback={() => (
-                      <IsoBoxSVG L={parsed.L} W={parsed.W} H={parsed.H} styleId={styleId} />
+                      <IsoBoxSVG L={parsed.L} W={parsed.W} H={parsed.H} styleId={styleId} board={previewBoard} fold={fold} />
                     )}>
-                      <R3FBox L={parsed.L} W={parsed.W} H={parsed.H} styleId={styleId} libs={r3fLibs} />
+                      <R3FBox L={parsed.L} W={parsed.W} H={parsed.H} styleId={styleId} board={previewBoard} fold={fold} libs={r3fLibs} />
                     </RenderBoundary>
                   ) : (
-                    <IsoBoxSVG L={parsed.L} W={parsed.W} H={parsed.H} styleId={styleId} />
+                    <IsoBoxSVG L={parsed.L} W={parsed.W} H={parsed.H} styleId={styleId} board={previewBoard} fold={fold} />
                   )}
                 </div>
               </div>
 
+              <DielinePanel dieline={dieline} styleName={styleName} fileBase={`dieline_${styleId}_${parsed.L}x${parsed.W}x${parsed.H}${units}`} />
+
               {/* Saved Setups */}
               <div className="rounded-3xl border border-slate-200 bg-white p-4 shadow-sm">
+                <div className="mb-3 flex flex-wrap items-center gap-2 text-xs">
+                  <span className="text-sm text-slate-600">Workspace</span>
+                  <select value={activeWorkspace ? activeWorkspace.id : ''} onChange={(e) => switchWorkspace(e.target.value)} disabled={!activeWorkspace} className="rounded-lg border border-slate-300 bg-white px-2 py-1 text-sm">
+                    {!activeWorkspace && <option value="">Not stored</option>}
+                    {workspaces.map((w) => (<option key={w.id} value={w.id}>{w.name}</option>))}
+                  </select>
+                  <button onClick={newWorkspace} disabled={!dbRef.current} className="rounded-lg border border-slate-300 px-2 py-1 hover:bg-slate-50 disabled:opacity-40">New</button>
+                  <button onClick={renameActiveWorkspace} disabled={!activeWorkspace} className="rounded-lg border border-slate-300 px-2 py-1 hover:bg-slate-50 disabled:opacity-40">Rename</button>
+                  <button onClick={exportWorkspace} disabled={!activeWorkspace} className="rounded-lg border border-slate-300 px-2 py-1 hover:bg-slate-50 disabled:opacity-40">Export workspace</button>
+                  <button onClick={() => workspaceFileRef.current && workspaceFileRef.current.click()} disabled={!dbRef.current} className="rounded-lg border border-slate-300 px-2 py-1 hover:bg-slate-50 disabled:opacity-40">Import workspace</button>
+                  <input ref={workspaceFileRef} type="file" accept=".json,application/json" className="hidden" onChange={onWorkspaceFile} />
+                  <button onClick={deleteActiveWorkspace} disabled={!activeWorkspace} className="rounded-lg border border-rose-300 px-2 py-1 text-rose-700 hover:bg-rose-50 disabled:opacity-40">Delete</button>
+                </div>
                 <div className="mb-3 flex flex-col gap-3 sm:flex-row sm:items-end sm:justify-between">
                   <div className="flex-1">
                     <label className="mb-1 block text-sm text-slate-600">Name this setup</label>
                     <input value={setupName} onChange={(e)=>setSetupName(e.target.value)} placeholder="e.g., Olive Vine – Small – No Battery" className="w-full rounded-xl border border-slate-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-slate-400" />
                   </div>
-                  <button onClick={saveCurrent} className="h-10 rounded-xl bg-slate-900 px-4 text-sm text-white hover:opacity-90">Save current setup</button>
+                  <div className="flex gap-2">
+                    <button onClick={() => requoteRows(saved)} className="h-10 rounded-xl border border-slate-300 px-4 text-sm hover:bg-slate-50">Re-quote all</button>
+                    <button onClick={saveCurrent} className="h-10 rounded-xl bg-slate-900 px-4 text-sm text-white hover:opacity-90">Save current setup</button>
+                  </div>
                 </div>
+                {requote && (
+                  <RequotePanel requote={requote} onApply={applyRequote} onClose={() => setRequote(null)} />
+                )}
+                {comparison && (
+                  <ComparePanel
+                    comparison={comparison}
+                    onBaseline={(id) => setCompare((c) => ({ ...c, baselineId: id }))}
+                    onRemove={(id) => setCompare((c) => ({ ...c, ids: c.ids.filter((x) => x !== id) }))}
+                    onClose={() => setCompare(null)}
+                  />
+                )}
+                {workspaceImport && (
+                  <WorkspaceImportReport report={workspaceImport} onClose={() => setWorkspaceImport(null)} />
+                )}
+                {setupImport && (
+                  <SetupImportPanel preview={setupImport} savedCount={saved.length} onApply={applySetupImport} onClose={() => setSetupImport(null)} />
+                )}
+                {saved.length > 0 && (
+                  <div className="mb-2 space-y-2 text-xs">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <input value={savedFilters.query} onChange={(e) => setFilter({ query: e.target.value })} placeholder="Search name, size, tag…" className="min-w-[12rem] flex-1 rounded-lg border border-slate-300 px-2 py-1" />
+                      <select value={savedFilters.battery} onChange={(e) => setFilter({ battery: e.target.value })} className="rounded-lg border border-slate-300 bg-white px-2 py-1">
+                        <option value="all">Any battery</option><option value="no">No Battery</option><option value="yes">Battery</option>
+                      </select>
+                      <select value={savedFilters.country} onChange={(e) => setFilter({ country: e.target.value })} className="rounded-lg border border-slate-300 bg-white px-2 py-1">
+                        <option value="all">All countries</option>
+                        {savedCountries.map((c) => (<option key={c} value={c}>{c}</option>))}
+                      </select>
+                      <select value={savedFilters.styleId} onChange={(e) => setFilter({ styleId: e.target.value })} className="rounded-lg border border-slate-300 bg-white px-2 py-1">
+                        <option value="all">All styles</option>
+                        {STYLE_OPTIONS.map((o) => (<option key={o.id} value={o.id}>{o.name}</option>))}
+                      </select>
+                      {savedTags.length > 0 && (
+                        <select value={savedFilters.tag} onChange={(e) => setFilter({ tag: e.target.value })} className="rounded-lg border border-slate-300 bg-white px-2 py-1">
+                          <option value="">Any tag</option>
+                          {savedTags.map((t) => (<option key={t} value={t}>{t}</option>))}
+                        </select>
+                      )}
+                      <select value={savedSort.id} onChange={(e) => setSavedSort((o) => ({ ...o, id: e.target.value }))} className="rounded-lg border border-slate-300 bg-white px-2 py-1">
+                        {SAVED_SORTS.map((o) => (<option key={o.id} value={o.id}>Sort: {o.label}</option>))}
+                      </select>
+                      <button onClick={() => setSavedSort((o) => ({ ...o, dir: o.dir === 'asc' ? 'desc' : 'asc' }))} title="Sort direction" className="rounded-lg border border-slate-300 px-2 py-1 hover:bg-slate-50">{savedSort.dir === 'asc' ? '↑' : '↓'}</button>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-2">
+                      <label className="flex items-center gap-1">
+                        <input type="checkbox" checked={allVisibleSelected} onChange={toggleAllVisible} />
+                        Select shown ({visibleSaved.length} of {saved.length})
+                      </label>
+                      <span className="text-slate-500">· {selectedRows.length} selected</span>
+                      <button onClick={compareSelected} disabled={selectedRows.length < 2} className="rounded-lg border border-slate-300 px-2 py-1 hover:bg-slate-50 disabled:opacity-40">Compare</button>
+                      <button onClick={() => requoteRows(selectedRows)} disabled={!selectedRows.length} className="rounded-lg border border-slate-300 px-2 py-1 hover:bg-slate-50 disabled:opacity-40">Re-quote</button>
+                      <button onClick={() => downloadSavedCSV(selectedRows)} disabled={!selectedRows.length} className="rounded-lg border border-slate-300 px-2 py-1 hover:bg-slate-50 disabled:opacity-40">Export CSV</button>
+                      <button onClick={() => downloadSavedJSON(selectedRows)} disabled={!selectedRows.length} className="rounded-lg border border-slate-300 px-2 py-1 hover:bg-slate-50 disabled:opacity-40">Export JSON</button>
+                      <button onClick={deleteSelected} disabled={!selectedRows.length} className="rounded-lg border border-rose-300 px-2 py-1 text-rose-700 hover:bg-rose-50 disabled:opacity-40">Delete</button>
+                    </div>
+                  </div>
+                )}
                 {saved.length === 0 ? (
                   <div className="text-sm text-slate-500">No saved setups yet.</div>
+                ) : visibleSaved.length === 0 ? (
+                  <div className="text-sm text-slate-500">No saved setups match the filters.</div>
                 ) : (
                   <ul className="divide-y divide-slate-100">
-                    {saved.map((row) => (
+                    {visibleSaved.map((row) => (
                       <li key={row.id} className="py-3 flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+                        <input type="checkbox" checked={selectedIds.includes(row.id)} onChange={() => toggleSelected(row.id)} className="self-start sm:mt-2 sm:mr-2" />
                         <div className="flex-1">
                           <input
                             className="w-full rounded-lg border border-slate-200 px-2 py-1 text-sm"
@@ -826,11 +1858,16 @@ export default function PackagingBoxDesigner() {
                             onChange={(e)=>renameRow(row.id, e.target.value)}
                           />
                           <div className="mt-1 text-xs text-slate-500">
-                            {row.units}, {row.styleId} · {row.L}×{row.W}×{row.H} · {row.battery ? 'Battery' : 'No Battery'} · {row.pricingMode}
+                            {row.units}, {row.styleId} · {row.L}×{row.W}×{row.H} · {row.country} · {row.battery ? 'Battery' : 'No Battery'} · {row.pricingMode}
+                            {row.derived && ` · ${Number(row.derived.shippingCNY || 0).toFixed(2)} CNY`}
+                            {row.rateVersion ? ` · rates ${row.rateVersion.version}` : (row.pricingMode === 'sheet' ? ' · rates unknown' : '')}
+                            {row.derived && row.derived.shippable === false && <span className="ml-1 rounded bg-rose-100 px-1 text-rose-700">not shippable</span>}
                           </div>
+                          <TagEditor tags={row.tags || []} onChange={(tags) => setRowTags(row.id, tags)} onPick={(tag) => setFilter({ tag })} />
                         </div>
                         <div className="flex gap-2">
                           <button onClick={()=>loadRow(row)} className="rounded-lg border border-slate-300 px-2 py-1 text-xs hover:bg-slate-50">Load</button>
+                          <button onClick={()=>duplicateRow(row.id)} className="rounded-lg border border-slate-300 px-2 py-1 text-xs hover:bg-slate-50">Duplicate</button>
                           <button onClick={()=>deleteRow(row.id)} className="rounded-lg border border-rose-300 px-2 py-1 text-xs text-rose-700 hover:bg-rose-50">Delete</button>
                         </div>
                       </li>
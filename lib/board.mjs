@@ -0,0 +1,76 @@
+/**
+ * Board grades and packaging cost: what one box of a style costs in board, from its
+ * dieline blank, the sheet yield and the order-quantity price break.
+ */
+
+// -----------------------------
+// Board grades
+// -----------------------------
+// thicknessMM sets Board thickness; gsm = grammage (g/m²); sheetMM = supplier sheet size the
+// blanks are nested on; moq = smallest box order. Prices are illustrative (per m² of sheet,
+// at the 1000-box break) – edit them to your supplier's quote. `custom` takes thickness and
+// price from the form.
+export const BOARD_GRADES = [
+  { id: 'custom', label: 'Custom (enter thickness + price)', thicknessMM: null, gsm: null, pricePerM2USD: null, sheetMM: [1600, 2400], moq: 100 },
+  { id: 'e-flute', label: 'E-flute single wall', thicknessMM: 1.5, gsm: 420, pricePerM2USD: 0.55, sheetMM: [1600, 2400], moq: 100 },
+  { id: 'b-flute', label: 'B-flute single wall', thicknessMM: 3, gsm: 540, pricePerM2USD: 0.65, sheetMM: [1600, 2400], moq: 100 },
+  { id: 'bc-double', label: 'BC double wall', thicknessMM: 6.5, gsm: 860, pricePerM2USD: 1.1, sheetMM: [1600, 2400], moq: 200 },
+  { id: 'chipboard', label: 'Rigid chipboard (wrapped)', thicknessMM: 2, gsm: 1250, pricePerM2USD: 1.8, sheetMM: [800, 1100], moq: 500 },
+];
+
+export const DEFAULT_BOARD_GRADE = 'custom';
+
+export function findBoardGrade(id) {
+  return BOARD_GRADES.find((g) => g.id === id) || null;
+}
+
+// Price multiplier by boxes ordered (first break = MOQ pricing).
+export const BOARD_PRICE_BREAKS = [
+  { minQty: 0, factor: 1.5 },
+  { minQty: 500, factor: 1.2 },
+  { minQty: 1000, factor: 1 },
+  { minQty: 5000, factor: 0.85 },
+  { minQty: 10000, factor: 0.75 },
+];
+
+export function priceBreakFor(qty) {
+  const q = Math.max(0, Number(qty) || 0);
+  return BOARD_PRICE_BREAKS.reduce((hit, b) => (q >= b.minQty ? b : hit), BOARD_PRICE_BREAKS[0]);
+}
+
+// -----------------------------
+// Sheet yield + cost per box
+// -----------------------------
+/** Blanks (w × h mm, no rotation within a layout) per sheet, best of both orientations. */
+export function sheetYield(blankMM, sheetMM) {
+  const [w, h] = blankMM;
+  const [sw, sh] = sheetMM;
+  if (!(w > 0 && h > 0)) return 0;
+  const fit = (a, b) => Math.floor(sw / a) * Math.floor(sh / b);
+  return Math.max(fit(w, h), fit(h, w));
+}
+
+/**
+ * Board cost of one box → { grade, thicknessMM, blankAreaM2, sheetMM, perSheet, usageM2,
+ * pricePerM2USD, priceBreak, belowMOQ, oversize, materialPerBoxUSD, boxWeightKg }.
+ * dieline: buildDieline() of the box; pricePerM2USD is used for the custom grade.
+ */
+export function computePackagingCost({ gradeId, pricePerM2USD, dieline, boxOrderQty }) {
+  const grade = findBoardGrade(gradeId) || findBoardGrade(DEFAULT_BOARD_GRADE);
+  const basePrice = grade.pricePerM2USD ?? Math.max(0, Number(pricePerM2USD) || 0);
+  const orderQty = Math.max(0, Math.floor(Number(boxOrderQty) || 0));
+  const priceBreak = priceBreakFor(orderQty);
+  const price = basePrice * priceBreak.factor;
+  const perSheet = sheetYield([dieline.widthMM, dieline.heightMM], grade.sheetMM);
+  const sheetM2 = (grade.sheetMM[0] * grade.sheetMM[1]) / 1e6;
+  // Off-sheet blanks (bigger than the sheet) are costed on their bounding box
+  const usageM2 = perSheet > 0 ? sheetM2 / perSheet : (dieline.widthMM * dieline.heightMM) / 1e6;
+  const blankAreaM2 = dieline.areaMM2 / 1e6;
+  return {
+    grade, thicknessMM: grade.thicknessMM,
+    blankAreaM2, sheetMM: grade.sheetMM, perSheet, usageM2,
+    pricePerM2USD: price, priceBreak, belowMOQ: orderQty < grade.moq, oversize: perSheet === 0,
+    materialPerBoxUSD: usageM2 * price,
+    boxWeightKg: grade.gsm ? (blankAreaM2 * grade.gsm) / 1000 : null,
+  };
+}
@@ -0,0 +1,247 @@
+/**
+ * 3D box model per style: board slabs (walls, lid, flaps) placed through hinge frames, at a
+ * fold position between closed (0) and open (1). Shared by the R3F preview and the SVG fallback.
+ *
+ * Axes: x = L (left → right), y = up (H), z = W (back → front); units of the form, floor at y = 0.
+ */
+
+// -----------------------------
+// Frames (rotation + origin) and slabs
+// -----------------------------
+const deg = (d) => (d * Math.PI) / 180;
+const ROOT = { R: [1, 0, 0, 0, 1, 0, 0, 0, 1], o: [0, 0, 0] };
+
+function mul(A, B) {
+  const out = [];
+  for (let r = 0; r < 3; r++) for (let c = 0; c < 3; c++) out.push(A[r * 3] * B[c] + A[r * 3 + 1] * B[3 + c] + A[r * 3 + 2] * B[6 + c]);
+  return out;
+}
+const apply = (R, v) => [0, 1, 2].map((r) => R[r * 3] * v[0] + R[r * 3 + 1] * v[1] + R[r * 3 + 2] * v[2]);
+const rotX = (a) => [1, 0, 0, 0, Math.cos(a), -Math.sin(a), 0, Math.sin(a), Math.cos(a)];
+const rotZ = (a) => [Math.cos(a), -Math.sin(a), 0, Math.sin(a), Math.cos(a), 0, 0, 0, 1];
+
+// Child frame hinged at `at` (parent coordinates), turned by R
+function hinge(parent, at, R) {
+  const p = apply(parent.R, at);
+  return { R: mul(parent.R, R), o: [parent.o[0] + p[0], parent.o[1] + p[1], parent.o[2] + p[2]] };
+}
+
+// Rotation matrix → quaternion [x, y, z, w] (three.js order)
+function quaternionOf(R) {
+  const [m00, m01, m02, m10, m11, m12, m20, m21, m22] = R;
+  const tr = m00 + m11 + m22;
+  if (tr > 0) {
+    const s = 0.5 / Math.sqrt(tr + 1);
+    return [(m21 - m12) * s, (m02 - m20) * s, (m10 - m01) * s, 0.25 / s];
+  }
+  if (m00 > m11 && m00 > m22) {
+    const s = 2 * Math.sqrt(1 + m00 - m11 - m22);
+    return [0.25 * s, (m01 + m10) / s, (m02 + m20) / s, (m21 - m12) / s];
+  }
+  if (m11 > m22) {
+    const s = 2 * Math.sqrt(1 + m11 - m00 - m22);
+    return [(m01 + m10) / s, 0.25 * s, (m12 + m21) / s, (m02 - m20) / s];
+  }
+  const s = 2 * Math.sqrt(1 + m22 - m00 - m11);
+  return [(m02 + m20) / s, (m12 + m21) / s, 0.25 * s, (m10 - m01) / s];
+}
+
+// Axis-aligned block [min, max] in a frame → { id, kind, center, size, R, quaternion }
+function slab(frame, id, kind, min, max) {
+  const c = [0, 1, 2].map((i) => (min[i] + max[i]) / 2);
+  const w = apply(frame.R, c);
+  return {
+    id, kind,
+    center: [frame.o[0] + w[0], frame.o[1] + w[1], frame.o[2] + w[2]],
+    size: [0, 1, 2].map((i) => Math.max(1e-6, Math.abs(max[i] - min[i]))),
+    R: frame.R, quaternion: quaternionOf(frame.R),
+  };
+}
+
+/** The 8 world-space corners of a slab (for projection). */
+export function slabCorners(s) {
+  const out = [];
+  for (const sx of [-0.5, 0.5]) for (const sy of [-0.5, 0.5]) for (const sz of [-0.5, 0.5]) {
+    const v = apply(s.R, [sx * s.size[0], sy * s.size[1], sz * s.size[2]]);
+    out.push([s.center[0] + v[0], s.center[1] + v[1], s.center[2] + v[2]]);
+  }
+  return out;
+}
+
+// -----------------------------
+// Styles
+// -----------------------------
+// Tuck-top mailer family (TTM / RETT / REFT): tray + lid hinged at the back, tuck into the
+// front and ears inside the side walls. doubleSides / doubleFront add the roll-over walls.
+function mailer({ L, W, H, t, open }, { doubleSides, doubleFront }) {
+  const hx = L / 2, hz = W / 2;
+  const side = doubleSides ? 3 * t : t; // board at each side (outer + dust flap + inner)
+  const front = doubleFront ? 3 * t : t;
+  const out = [
+    slab(ROOT, 'base', 'base', [-hx, 0, -hz], [hx, t, hz]),
+    slab(ROOT, 'side-l', 'wall', [-hx, t, -hz], [-hx + t, H - t, hz]),
+    slab(ROOT, 'side-r', 'wall', [hx - t, t, -hz], [hx, H - t, hz]),
+    slab(ROOT, 'back', 'wall', [-hx + t, t, -hz], [hx - t, H - t, -hz + t]),
+    slab(ROOT, 'front', 'wall', [-hx + t, t, hz - t], [hx - t, H - t, hz]),
+  ];
+  if (doubleSides) {
+    out.push(
+      slab(ROOT, 'inner-side-l', 'wall', [-hx + 2 * t, t, -hz + t], [-hx + 3 * t, H - 2 * t, hz - t]),
+      slab(ROOT, 'inner-side-r', 'wall', [hx - 3 * t, t, -hz + t], [hx - 2 * t, H - 2 * t, hz - t]),
+      slab(ROOT, 'roll-l', 'roll', [-hx, H - 2 * t, -hz], [-hx + 3 * t, H - t, hz]),
+      slab(ROOT, 'roll-r', 'roll', [hx - 3 * t, H - 2 * t, -hz], [hx, H - t, hz]),
+    );
+  }
+  if (doubleFront) {
+    out.push(
+      slab(ROOT, 'inner-front', 'wall', [-hx + side, t, hz - 3 * t], [hx - side, H - 2 * t, hz - 2 * t]),
+      slab(ROOT, 'roll-front', 'roll', [-hx + side, H - 2 * t, hz - 3 * t], [hx - side, H - t, hz]),
+    );
+  }
+  // Lid: hinge on the back wall top edge, opens up to 110°
+  const lid = hinge(ROOT, [0, H, -hz], rotX(-deg(110 * open)));
+  out.push(slab(lid, 'lid', 'lid', [-hx, -t, 0], [hx, 0, W]));
+  // Tuck: hangs inside the front wall when closed, swings flat with the lid as it opens
+  const tuckDepth = Math.max(t, 0.8 * (H - 2 * t));
+  const tuck = hinge(lid, [0, -t, W - front], rotX(-deg(90 * open)));
+  out.push(slab(tuck, 'tuck', 'tuck', [-hx + side + t, -tuckDepth, -t], [hx - side - t, 0, 0]));
+  // Ears: inside the side walls, folding out sideways
+  const earDepth = Math.max(t, Math.min(0.8 * (H - 2 * t), hz));
+  const earL = hinge(lid, [-hx + side, -t, 0], rotZ(-deg(90 * open)));
+  const earR = hinge(lid, [hx - side, -t, 0], rotZ(deg(90 * open)));
+  out.push(
+    slab(earL, 'ear-l', 'flap', [0, -earDepth, 2 * t], [t, 0, W - front - 2 * t]),
+    slab(earR, 'ear-r', 'flap', [-t, -earDepth, 2 * t], [0, 0, W - front - 2 * t]),
+  );
+  return out;
+}
+
+// RSC: four walls, bottom flaps closed, top flaps open major-first (and close minor-first).
+function rsc({ L, W, H, t, open }) {
+  const hx = L / 2, hz = W / 2;
+  const minor = Math.min(hz, hx - t); // minor flaps are W/2 deep, never past the middle
+  const majorOpen = Math.min(1, open / 0.6);
+  const minorOpen = Math.max(0, (open - 0.4) / 0.6);
+  const out = [
+    slab(ROOT, 'side-back', 'wall', [-hx, 0, -hz], [hx, H, -hz + t]),
+    slab(ROOT, 'side-front', 'wall', [-hx, 0, hz - t], [hx, H, hz]),
+    slab(ROOT, 'end-l', 'wall', [-hx, 0, -hz + t], [-hx + t, H, hz - t]),
+    slab(ROOT, 'end-r', 'wall', [hx - t, 0, -hz + t], [hx, H, hz - t]),
+    slab(ROOT, 'bottom-back', 'base', [-hx + t, 0, -hz + t], [hx - t, t, 0]),
+    slab(ROOT, 'bottom-front', 'base', [-hx + t, 0, 0], [hx - t, t, hz - t]),
+    slab(ROOT, 'bottom-minor-l', 'flap', [-hx + t, t, -hz + t], [-hx + t + minor - t, 2 * t, hz - t]),
+    slab(ROOT, 'bottom-minor-r', 'flap', [hx - t - minor + t, t, -hz + t], [hx - t, 2 * t, hz - t]),
+  ];
+  const minL = hinge(ROOT, [-hx + t, H - t, 0], rotZ(deg(100 * minorOpen)));
+  const minR = hinge(ROOT, [hx - t, H - t, 0], rotZ(-deg(100 * minorOpen)));
+  const majB = hinge(ROOT, [0, H, -hz], rotX(-deg(100 * majorOpen)));
+  const majF = hinge(ROOT, [0, H, hz], rotX(deg(100 * majorOpen)));
+  out.push(
+    slab(minL, 'top-minor-l', 'flap', [0, -t, -hz + t], [minor - t, 0, hz - t]),
+    slab(minR, 'top-minor-r', 'flap', [-(minor - t), -t, -hz + t], [0, 0, hz - t]),
+    slab(majB, 'top-major-back', 'lid', [-hx, 0, 0], [hx, t, hz]),
+    slab(majF, 'top-major-front', 'lid', [-hx, 0, -hz], [hx, t, 0]),
+  );
+  return out;
+}
+
+// Flat rigid mailer: back + front panels, side seams, bottom gusset; the closure flap folds
+// over the front from the open end.
+function rigid({ L, W, H, t, open }) {
+  const hx = L / 2, hz = W / 2;
+  const closure = Math.min(W / 2, Math.max(W / 4, 3 * t));
+  const flapFrame = hinge(ROOT, [0, H, -hz], rotX(-deg(160 * open)));
+  return [
+    slab(ROOT, 'back', 'base', [-hx, 0, -hz], [hx, t, hz]),
+    slab(ROOT, 'front', 'wall', [-hx, H - t, -hz], [hx, H, hz]),
+    slab(ROOT, 'gusset', 'roll', [-hx, t, hz - t], [hx, H - t, hz]),
+    slab(ROOT, 'seam-l', 'roll', [-hx, t, -hz], [-hx + t, H - t, hz - t]),
+    slab(ROOT, 'seam-r', 'roll', [hx - t, t, -hz], [hx, H - t, hz - t]),
+    slab(flapFrame, 'closure', 'lid', [-hx, 0, 0], [hx, t, closure]),
+  ];
+}
+
+const STYLE_MODELS = {
+  ttm: (d) => mailer(d, { doubleSides: false, doubleFront: false }),
+  rett: (d) => mailer(d, { doubleSides: true, doubleFront: false }),
+  reft: (d) => mailer(d, { doubleSides: false, doubleFront: true }),
+  rsc,
+  rigid,
+};
+
+// -----------------------------
+// Isometric projection (SVG fallback)
+// -----------------------------
+// Corner indices of slabCorners() per face, with the face normal in slab coordinates
+const FACES = [
+  { n: [-1, 0, 0], c: [0, 1, 3, 2] }, { n: [1, 0, 0], c: [4, 6, 7, 5] },
+  { n: [0, -1, 0], c: [0, 4, 5, 1] }, { n: [0, 1, 0], c: [2, 3, 7, 6] },
+  { n: [0, 0, -1], c: [0, 2, 6, 4] }, { n: [0, 0, 1], c: [1, 5, 7, 3] },
+];
+// Viewer sits at +x +y +z (same corner as the 3D camera); light from above-left-front
+const VIEW = [1, 1, 1];
+const LIGHT = [-0.3, 0.9, 0.3];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+// A face must be painted before another when the other lies wholly on its viewer side
+// (and not vice versa) and their outlines can overlap.
+function paintsBefore(a, b, eps) {
+  const inFront = (pts, f) => pts.every((p) => dot(f.n, [p[0] - f.pts[0][0], p[1] - f.pts[0][1], p[2] - f.pts[0][2]]) >= -eps);
+  const overlap = a.box[0] < b.box[2] && b.box[0] < a.box[2] && a.box[1] < b.box[3] && b.box[1] < a.box[3];
+  return overlap && inFront(b.pts, a) && !inFront(a.pts, b);
+}
+
+/**
+ * Visible slab faces in isometric view, back to front → [{ id, kind, points: [[x, y]…], light }]
+ * (screen y down; light ∈ [0, 1]). Ordered by plane tests between overlapping faces, nearest
+ * corner first as the tie-break, so lids and flaps lying on a panel paint over it.
+ */
+export function projectBoxModel(slabs) {
+  const iso = ([x, y, z]) => [(x - z) * 0.8660254037844386, -(y - (x + z) * 0.5)];
+  const len = Math.hypot(...LIGHT);
+  const faces = [];
+  let extent = 0;
+  for (const s of slabs) {
+    const corners = slabCorners(s);
+    extent = Math.max(extent, ...s.size);
+    for (const f of FACES) {
+      const n = apply(s.R, f.n);
+      if (dot(n, VIEW) <= 1e-9) continue;
+      const pts = f.c.map((i) => corners[i]);
+      const points = pts.map(iso);
+      const xs = points.map((p) => p[0]);
+      const ys = points.map((p) => p[1]);
+      faces.push({
+        id: `${s.id}-${FACES.indexOf(f)}`, kind: s.kind, points, light: Math.max(0, dot(n, LIGHT) / len),
+        n, pts, box: [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)],
+        depth: Math.max(...pts.map((p) => dot(p, VIEW))),
+      });
+    }
+  }
+  faces.sort((a, b) => a.depth - b.depth);
+  // Topological order over the "paints before" pairs; a cycle falls back to depth order
+  const eps = extent * 1e-6;
+  const blockers = faces.map((b) => faces.filter((a) => a !== b && paintsBefore(a, b, eps)));
+  const done = new Set();
+  const out = [];
+  while (out.length < faces.length) {
+    const i = faces.findIndex((f, k) => !done.has(f) && blockers[k].every((a) => done.has(a)));
+    const next = i >= 0 ? faces[i] : faces.find((f) => !done.has(f));
+    done.add(next);
+    out.push(next);
+  }
+  return out.map(({ id, kind, points, light }) => ({ id, kind, points, light }));
+}
+
+/**
+ * Slabs of a style's box → [{ id, kind, center, size, R, quaternion }], kind ∈ base | wall |
+ * roll | lid | tuck | flap. board = board thickness in the same units as L/W/H; open ∈ [0, 1].
+ */
+export function buildBoxModel({ styleId, L, W, H, board, open = 0 }) {
+  const dims = [L, W, H].map((v) => Math.max(1e-3, Number(v) || 0));
+  // Walls stay visible on tiny boxes and never eat the whole box
+  const t = Math.min(Math.max(Number(board) || 0, Math.min(...dims) / 200), Math.min(...dims) / 8);
+  const f = Math.min(1, Math.max(0, Number(open) || 0));
+  const model = STYLE_MODELS[styleId] || STYLE_MODELS.ttm;
+  return model({ L: dims[0], W: dims[1], H: dims[2], t, open: f });
+}
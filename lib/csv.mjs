@@ -0,0 +1,80 @@
+/**
+ * CSV helpers shared by the page (saved setups export) and the tooling.
+ */
+
+// -----------------------------
+// CSV
+// -----------------------------
+export function csvEscape(v) {
+  if (v === null || v === undefined) return '';
+  const s = String(v);
+  if (/[",\r\n]/.test(s)) return '"' + s.replace(/"/g, '""') + '"';
+  return s;
+}
+
+// Inverse of csvEscape: quoted fields, doubled quotes, embedded commas/line breaks.
+export function parseCSV(text) {
+  const rows = []; let row = []; let field = ''; let quoted = false;
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += ch;
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+// Header row + data rows → [{ header: value }]; blank lines are dropped.
+export function csvRecords(rows) {
+  const [header = [], ...data] = rows;
+  const keys = header.map((h) => String(h).trim());
+  return data
+    .filter((r) => r.some((v) => String(v).trim() !== ''))
+    .map((r) => Object.fromEntries(keys.map((k, i) => [k, r[i] ?? ''])));
+}
+
+// Rows with an `error` (invalid input) keep their inputs and put the message in `breakdown`.
+// Columns after `parcels` carry the remaining inputs so the file can be imported back. Every
+// cell goes through csvEscape (country names come from imported sheets and may hold commas).
+export function rowsToCSV(rows) {
+  const headers = [
+    'name','country','pricingMode','units','styleId','L','W','H','boardMM','divisorId','battery','qty','priceUSD','productCostUSD','variableFeePct','refundFeePct',
+    'chargeableKg','shippingCNY','shippingUSD','shippingPerUnitUSD','costPerUnitUSD','totalCostUSD','breakdown','shippable',
+    'unitWeight','unitsPerBox','parcels',
+    'actualW','postcode','shipDate','perKgCNY','minChargeCNY','cnyPerUSD','id','tags',
+    'profitPerUnitUSD','totalProfitUSD','marginPct','contributionPerUnitUSD','breakEvenPriceUSD','targetMarginPct','targetPriceUSD',
+    'feeProfile','feeCategory','customFeeFixedUSD','customFeeMinUSD','feesPerUnitUSD',
+    'declaredValueUSD','hsCode','dutyPct','dutiesPerUnitUSD','taxesPerUnitUSD',
+    'boardGrade','boardPricePerM2USD','boxOrderQty','packagingPerUnitUSD'
+  ];
+  const lines = [headers.join(',')];
+  for (const r of rows) {
+    const d = r.derived || {}; // guard
+    const rates = r.rates && typeof r.rates === 'object' ? r.rates : {};
+    lines.push([
+      r.name, r.country, r.pricingMode, r.units, r.styleId, r.L, r.W, r.H, r.boardMM, r.divisorId, r.battery, r.qty,
+      r.priceUSD, r.productCostUSD, r.variableFeePct, r.refundFeePct,
+      (d.chargeableKg ?? ''), (d.shippingCNY ?? ''), (d.shippingUSD ?? ''), (d.shippingPerUnitUSD ?? ''), (d.costPerUnitUSD ?? ''), (d.totalCostUSD ?? ''), (r.error || d.breakdown || ''),
+      r.error ? 'invalid' : d.shippable === false ? 'not shippable' : 'yes',
+      (r.unitWeight ?? ''), (r.unitsPerBox ?? ''), (d.parcelCount ?? ''),
+      (r.actualW ?? ''), (r.postcode || ''), (r.shipDate || ''),
+      (rates.perKgCNY ?? ''), (rates.minChargeCNY ?? ''), (rates.cnyPerUSD ?? ''), (r.id || ''),
+      (r.tags || []).join('; '),
+      (d.profitPerUnitUSD ?? ''), (d.totalProfitUSD ?? ''), (d.marginPct ?? ''), (d.contributionPerUnitUSD ?? ''),
+      (d.breakEvenPriceUSD ?? ''), (r.targetMarginPct ?? ''), (d.targetPriceUSD ?? ''),
+      (r.feeProfile ?? ''), (r.feeCategory ?? ''), (r.customFeeFixedUSD ?? ''), (r.customFeeMinUSD ?? ''), (d.feesPerUnitUSD ?? ''),
+      (r.declaredValueUSD ?? ''), (r.hsCode || ''), (r.dutyPct ?? ''), (d.dutiesPerUnitUSD ?? ''), (d.taxesPerUnitUSD ?? ''),
+      (r.boardGrade ?? ''), (r.boardPricePerM2USD ?? ''), (r.boxOrderQty ?? ''), (d.packagingPerUnitUSD ?? '')
+    ].map(csvEscape).join(','));
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,96 @@
+/**
+ * Landed cost: import duty and destination VAT/GST per parcel, from per-country customs
+ * rules keyed by the same country names as the rate tables.
+ */
+
+// -----------------------------
+// Customs rules per destination
+// -----------------------------
+// Thresholds are in the destination currency (usdPer = USD per 1 unit, for converting the
+// declared USD value). Fields:
+//  - dutyFreeUpTo:  de minimis for duty – goods value at or below it pays no duty
+//  - vatPct:        import VAT / GST on (customs value + duty)
+//  - lowValueVAT:   name of the point-of-sale scheme (IOSS, UK VAT, LVG GST) that collects VAT on
+//                   parcels at or below dutyFreeUpTo; null = no scheme
+//  - taxFreeUpTo:   de minimis for VAT/GST when there is no scheme
+//  - valuation:     'CIF' customs value includes shipping, 'FOB' goods only
+// The figures are illustrative (late 2025) – check current rules for your goods and edit here.
+export const CUSTOMS_RULES = {
+  'United States': {
+    currency: 'USD', usdPer: 1, dutyFreeUpTo: 0, vatPct: 0, lowValueVAT: null, taxFreeUpTo: 0, valuation: 'FOB',
+    note: 'The $800 de minimis is suspended – every parcel pays duty (enter the HS rate incl. additional tariffs).',
+  },
+  'United Kingdom': {
+    currency: 'GBP', usdPer: 1.33, dutyFreeUpTo: 135, vatPct: 20, lowValueVAT: 'UK VAT', taxFreeUpTo: 0, valuation: 'CIF',
+    note: 'Parcels up to £135: VAT charged at sale, no duty.',
+  },
+  Germany: {
+    currency: 'EUR', usdPer: 1.16, dutyFreeUpTo: 150, vatPct: 19, lowValueVAT: 'IOSS', taxFreeUpTo: 0, valuation: 'CIF',
+    note: 'Parcels up to €150: VAT via IOSS, no duty.',
+  },
+  France: {
+    currency: 'EUR', usdPer: 1.16, dutyFreeUpTo: 150, vatPct: 20, lowValueVAT: 'IOSS', taxFreeUpTo: 0, valuation: 'CIF',
+    note: 'Parcels up to €150: VAT via IOSS, no duty.',
+  },
+  Canada: {
+    currency: 'CAD', usdPer: 0.72, dutyFreeUpTo: 20, vatPct: 5, lowValueVAT: null, taxFreeUpTo: 20, valuation: 'FOB',
+    note: 'CAD 20 de minimis for duty and GST (non-CUSMA origin); provincial sales tax not included.',
+  },
+  Australia: {
+    currency: 'AUD', usdPer: 0.65, dutyFreeUpTo: 1000, vatPct: 10, lowValueVAT: 'LVG GST', taxFreeUpTo: 0, valuation: 'FOB',
+    note: 'Parcels up to A$1,000: GST charged at sale, no duty.',
+  },
+};
+
+export function getCustomsRule(country) {
+  return Object.prototype.hasOwnProperty.call(CUSTOMS_RULES, country) ? CUSTOMS_RULES[country] : null;
+}
+
+// -----------------------------
+// Duty + VAT for a shipment
+// -----------------------------
+const threshold = (amount, rule) => `under ${rule.currency} ${amount} de minimis`;
+
+/**
+ * Duties and taxes for one shipment split into parcel groups ({ units, count, shippingUSD }
+ * per parcel) → { lines: [{ id, label, amountUSD, detail }], dutyUSD, taxUSD, totalUSD, rule }.
+ * De minimis is checked per parcel; amounts are for the whole shipment. declaredValueUSD is
+ * per unit, dutyPct the HS-code duty rate.
+ */
+export function computeLandedCost({ country, declaredValueUSD, dutyPct, parcels }) {
+  const rule = getCustomsRule(country);
+  if (!rule) return { lines: [], dutyUSD: 0, taxUSD: 0, totalUSD: 0, rule: null };
+  const unitValue = Math.max(0, Number(declaredValueUSD) || 0);
+  const rate = Math.max(0, Number(dutyPct) || 0);
+  let dutyUSD = 0;
+  let taxUSD = 0;
+  let schemeUSD = 0;
+  let dutiable = 0; // parcels over the duty de minimis
+  for (const p of parcels) {
+    const goodsUSD = p.units * unitValue;
+    const customsUSD = rule.valuation === 'CIF' ? goodsUSD + (p.shippingUSD || 0) : goodsUSD;
+    const goodsLocal = goodsUSD / rule.usdPer;
+    const duty = goodsLocal > rule.dutyFreeUpTo ? customsUSD * rate / 100 : 0;
+    if (goodsLocal > rule.dutyFreeUpTo) dutiable += p.count;
+    dutyUSD += p.count * duty;
+    if (rule.lowValueVAT && goodsLocal <= rule.dutyFreeUpTo) schemeUSD += p.count * customsUSD * rule.vatPct / 100;
+    else if (rule.lowValueVAT || goodsLocal > rule.taxFreeUpTo) taxUSD += p.count * (customsUSD + duty) * rule.vatPct / 100;
+  }
+  const lines = [];
+  if (rate > 0) {
+    lines.push({
+      id: 'duty', label: 'Import duty', amountUSD: dutyUSD,
+      detail: dutiable ? `${rate}% of ${rule.valuation} value` : threshold(rule.dutyFreeUpTo, rule),
+    });
+  }
+  if (rule.vatPct > 0) {
+    if (schemeUSD > 0) lines.push({ id: 'vat-scheme', label: `${rule.lowValueVAT} at sale`, amountUSD: schemeUSD, detail: `${rule.vatPct}%` });
+    if (taxUSD > 0 || schemeUSD === 0) {
+      lines.push({
+        id: 'vat', label: 'Import VAT/GST', amountUSD: taxUSD,
+        detail: taxUSD > 0 ? `${rule.vatPct}% of value + duty` : threshold(rule.taxFreeUpTo, rule),
+      });
+    }
+  }
+  return { lines, dutyUSD, taxUSD: taxUSD + schemeUSD, totalUSD: dutyUSD + taxUSD + schemeUSD, rule };
+}
@@ -0,0 +1,325 @@
+/**
+ * Dielines: the flat blank of each box style (cut + crease lines, 1:1 in mm) and its
+ * SVG / DXF / PDF exports.
+ */
+
+// -----------------------------
+// Panels → cut and crease lines
+// -----------------------------
+// A style is a list of panels (polygons, mm, y down). Edges two panels share are creases,
+// edges only one panel has are cuts; `noCrease` panels (lock tabs) join without a crease.
+const r2 = (v) => Math.round(v * 100) / 100;
+const key = ([x, y]) => `${r2(x)},${r2(y)}`;
+
+function rect(name, x, y, w, h, opts = {}) {
+  return { name, pts: [[x, y], [x + w, y], [x + w, y + h], [x, y + h]], ...opts };
+}
+
+// Quarter-ish arc from `a` towards `b` around corner `c` (rounded tab corners)
+function roundCorner(a, c, b, r) {
+  const toward = (p, q, d) => {
+    const len = Math.hypot(q[0] - p[0], q[1] - p[1]) || 1;
+    return [p[0] + (q[0] - p[0]) * d / len, p[1] + (q[1] - p[1]) * d / len];
+  };
+  const s = toward(c, a, r);
+  const e = toward(c, b, r);
+  const pts = [];
+  for (let i = 0; i <= 4; i++) { // quadratic Bézier through the corner, 5 points
+    const t = i / 4;
+    pts.push([
+      (1 - t) ** 2 * s[0] + 2 * (1 - t) * t * c[0] + t ** 2 * e[0],
+      (1 - t) ** 2 * s[1] + 2 * (1 - t) * t * c[1] + t ** 2 * e[1],
+    ]);
+  }
+  return pts;
+}
+
+/**
+ * Flap on edge P→Q, lying to the left of the walk (screen coordinates): `inset` leaves a gap
+ * at both ends of the edge, `taper` narrows the tip, `round` rounds the tip corners.
+ */
+function flap(name, P, Q, depth, { inset = 0, taper = 0, round = 0, ...opts } = {}) {
+  const len = Math.hypot(Q[0] - P[0], Q[1] - P[1]);
+  const t = [(Q[0] - P[0]) / len, (Q[1] - P[1]) / len];
+  const n = [t[1], -t[0]];
+  const at = (p, along, out) => [p[0] + t[0] * along + n[0] * out, p[1] + t[1] * along + n[1] * out];
+  const p0 = at(P, inset, 0);
+  const q0 = at(Q, -inset, 0);
+  const p1 = at(p0, taper, depth);
+  const q1 = at(q0, -taper, depth);
+  const r = Math.min(round, depth / 2, Math.hypot(q1[0] - p1[0], q1[1] - p1[1]) / 2);
+  const tip = r > 0 ? [...roundCorner(p0, p1, q1, r), ...roundCorner(p1, q1, q0, r)] : [p1, q1];
+  return { name, pts: [p0, ...tip, q0], ...opts };
+}
+
+// Split every edge at polygon vertices lying on it, then count owners per sub-segment.
+function classify(panels) {
+  const edges = [];
+  panels.forEach((p, pi) => p.pts.forEach((a, i) => edges.push({ a, b: p.pts[(i + 1) % p.pts.length], pi })));
+  const vertices = panels.flatMap((p) => p.pts);
+  const owners = new Map();
+  for (const { a, b, pi } of edges) {
+    const len = Math.hypot(b[0] - a[0], b[1] - a[1]);
+    if (len < 0.01) continue;
+    const cuts = [0, 1];
+    for (const v of vertices) {
+      const t = ((v[0] - a[0]) * (b[0] - a[0]) + (v[1] - a[1]) * (b[1] - a[1])) / (len * len);
+      if (t <= 1e-6 || t >= 1 - 1e-6) continue;
+      const px = a[0] + t * (b[0] - a[0]);
+      const py = a[1] + t * (b[1] - a[1]);
+      if (Math.hypot(v[0] - px, v[1] - py) < 0.01) cuts.push(t);
+    }
+    cuts.sort((x, y) => x - y);
+    for (let i = 0; i + 1 < cuts.length; i++) {
+      if (cuts[i + 1] - cuts[i] < 1e-9) continue;
+      const s = [a[0] + cuts[i] * (b[0] - a[0]), a[1] + cuts[i] * (b[1] - a[1])];
+      const e = [a[0] + cuts[i + 1] * (b[0] - a[0]), a[1] + cuts[i + 1] * (b[1] - a[1])];
+      const k = [key(s), key(e)].sort().join('|');
+      if (!owners.has(k)) owners.set(k, { seg: [s, e], panels: [] });
+      owners.get(k).panels.push(pi);
+    }
+  }
+  const cuts = [];
+  const creases = [];
+  for (const { seg, panels: ps } of owners.values()) {
+    if (ps.length === 1) cuts.push(seg);
+    else if (!ps.some((pi) => panels[pi].noCrease)) creases.push(seg);
+  }
+  return { cuts, creases };
+}
+
+// -----------------------------
+// Styles
+// -----------------------------
+// a × b × d = panel sizes between creases (outer size minus one board thickness), T = board.
+// Proportions (glue flap, tab sizes, slot width) follow common FEFCO-style defaults.
+
+// Mailer tray + hinged lid shared by TTM / RETT / REFT (FEFCO 0427 family).
+// doubleSides: roll-over inner side walls with lock tabs; doubleFront: rolled front + lock tabs.
+function mailerPanels(a, b, d, T, { doubleSides, doubleFront }) {
+  const sideW = doubleSides ? 2 * d : d;
+  const X0 = sideW + d; // room for the side walls + dust flaps
+  const Y0 = b + 2 * d; // room for the lid, tuck and back wall
+  const tuck = Math.max(5, d - T);
+  const ears = Math.max(5, Math.min(d - T, b / 2));
+  const dust = Math.max(5, Math.min(b / 2 - T, d));
+  const tabW = Math.min(25, b / 5);
+  const panels = [
+    rect('Base', X0, Y0, a, b),
+    rect('Back', X0, Y0 - d, a, d),
+    rect('Lid', X0, Y0 - d - b, a, b),
+    flap('Tuck', [X0, Y0 - d - b], [X0 + a, Y0 - d - b], tuck, { inset: T, round: Math.min(12, tuck / 2) }),
+    flap('Ear', [X0, Y0 - d], [X0, Y0 - d - b], ears, { inset: T, taper: ears * 0.4 }),
+    flap('Ear', [X0 + a, Y0 - d - b], [X0 + a, Y0 - d], ears, { inset: T, taper: ears * 0.4 }),
+    rect('Side', X0 - d, Y0, d, b),
+    rect('Side', X0 + a, Y0, d, b),
+    rect('Front', X0, Y0 + b, a, d),
+    flap('Dust', [X0, Y0], [X0, Y0 - d], dust, { inset: T, taper: dust * 0.3 }),
+    flap('Dust', [X0 + a, Y0 - d], [X0 + a, Y0], dust, { inset: T, taper: dust * 0.3 }),
+    flap('Dust', [X0, Y0 + b + d], [X0, Y0 + b], dust, { inset: T, taper: dust * 0.3 }),
+    flap('Dust', [X0 + a, Y0 + b], [X0 + a, Y0 + b + d], dust, { inset: T, taper: dust * 0.3 }),
+  ];
+  const lockTabs = (P, Q, depth) => { // two tabs on edge P→Q at ¼ and ¾
+    const len = Math.hypot(Q[0] - P[0], Q[1] - P[1]);
+    const u = [(Q[0] - P[0]) / len, (Q[1] - P[1]) / len];
+    const along = (f) => [P[0] + u[0] * len * f, P[1] + u[1] * len * f];
+    return [0.25, 0.75].map((f) => {
+      const c = along(f);
+      const s = [c[0] - u[0] * tabW / 2, c[1] - u[1] * tabW / 2];
+      const e = [c[0] + u[0] * tabW / 2, c[1] + u[1] * tabW / 2];
+      return flap('Lock tab', s, e, depth, { taper: depth * 0.3, noCrease: true });
+    });
+  };
+  if (doubleSides) {
+    const inner = Math.max(5, d - T);
+    panels.push(
+      rect('Inner side', X0 - d - inner, Y0 + T, inner, b - 2 * T),
+      rect('Inner side', X0 + a + d, Y0 + T, inner, b - 2 * T),
+      ...lockTabs([X0 - d - inner, Y0 + b - T], [X0 - d - inner, Y0 + T], Math.max(4, 2 * T)),
+      ...lockTabs([X0 + a + d + inner, Y0 + T], [X0 + a + d + inner, Y0 + b - T], Math.max(4, 2 * T)),
+    );
+  }
+  if (doubleFront) {
+    const inner = Math.max(5, d - T);
+    panels.push(
+      rect('Inner front', X0 + T, Y0 + b + d, a - 2 * T, inner),
+      ...lockTabs([X0 + a - T, Y0 + b + d + inner], [X0 + T, Y0 + b + d + inner], Math.max(4, 2 * T)),
+    );
+  }
+  return panels;
+}
+
+// FEFCO 0201: four walls in a strip + glue flap, flaps top and bottom meeting in the middle.
+function rscPanels(a, b, d, T) {
+  const glue = Math.min(35, Math.max(15, d / 3));
+  const flapD = b / 2;
+  const slot = Math.max(3, T + 1);
+  const widths = [a, b, a, b];
+  const names = ['Side', 'End', 'Side', 'End'];
+  const panels = [{ name: 'Glue', pts: [[glue, flapD], [glue, flapD + d], [0, flapD + d - glue / 3], [0, flapD + glue / 3]] }];
+  let x = glue;
+  widths.forEach((w, i) => {
+    panels.push(rect(names[i], x, flapD, w, d));
+    const left = i === 0 ? 0 : slot / 2;
+    const right = i === widths.length - 1 ? 0 : slot / 2;
+    panels.push(rect('Flap', x + left, 0, w - left - right, flapD));
+    panels.push(rect('Flap', x + left, flapD + d, w - left - right, flapD));
+    x += w;
+  });
+  return panels;
+}
+
+// Flat mailer: back + gusset + front, side glue flaps on the front, closure flap on the back.
+function rigidPanels(a, b, d) {
+  const glue = Math.min(20, a / 6);
+  const closure = Math.max(30, b / 4);
+  const X0 = glue;
+  const Y0 = closure;
+  const F = Y0 + b + d; // top of the front panel
+  return [
+    flap('Closure', [X0, Y0], [X0 + a, Y0], closure, { round: Math.min(15, closure / 2) }),
+    rect('Back', X0, Y0, a, b),
+    rect('Gusset', X0, Y0 + b, a, d),
+    rect('Front', X0, F, a, b),
+    flap('Glue', [X0, F + b], [X0, F], glue, { inset: 3, taper: glue / 2 }),
+    flap('Glue', [X0 + a, F], [X0 + a, F + b], glue, { inset: 3, taper: glue / 2 }),
+  ];
+}
+
+const STYLE_BUILDERS = {
+  ttm: (a, b, d, T) => mailerPanels(a, b, d, T, { doubleSides: false, doubleFront: false }),
+  rett: (a, b, d, T) => mailerPanels(a, b, d, T, { doubleSides: true, doubleFront: false }),
+  reft: (a, b, d, T) => mailerPanels(a, b, d, T, { doubleSides: false, doubleFront: true }),
+  rsc: rscPanels,
+  rigid: rigidPanels,
+};
+
+/**
+ * Flat blank for a style at 1:1 → { styleId, widthMM, heightMM, areaMM2, cuts, creases, labels,
+ * cutLengthMM, creaseLengthMM }. areaMM2 is the board in the blank itself (panels, no waste). Segments are [[x, y], [x, y]] in mm from the top-left.
+ * L/W/H are outer dimensions in `units`; boardMM is the board thickness.
+ */
+export function buildDieline({ styleId, L, W, H, units, boardMM }) {
+  const k = units === 'in' ? 25.4 : 10;
+  const T = Math.max(0, Number(boardMM) || 0);
+  const [a, b, d] = [L, W, H].map((v) => Math.max(1, (Number(v) || 0) * k - T));
+  const build = STYLE_BUILDERS[styleId] || STYLE_BUILDERS.ttm;
+  const panels = build(a, b, d, T);
+  const { cuts, creases } = classify(panels);
+  const all = panels.flatMap((p) => p.pts);
+  const minX = Math.min(...all.map((p) => p[0]));
+  const minY = Math.min(...all.map((p) => p[1]));
+  const shift = ([x, y]) => [r2(x - minX), r2(y - minY)];
+  const move = (segs) => segs.map(([s, e]) => [shift(s), shift(e)]);
+  const area = (pts) => Math.abs(pts.reduce((sum, p, i) => {
+    const q = pts[(i + 1) % pts.length];
+    return sum + p[0] * q[1] - q[0] * p[1];
+  }, 0)) / 2;
+  const length = (segs) => segs.reduce((sum, [s, e]) => sum + Math.hypot(e[0] - s[0], e[1] - s[1]), 0);
+  const labels = panels
+    .filter((p) => p.name !== 'Lock tab')
+    .map((p) => {
+      const cx = p.pts.reduce((s, q) => s + q[0], 0) / p.pts.length;
+      const cy = p.pts.reduce((s, q) => s + q[1], 0) / p.pts.length;
+      return { text: p.name, x: r2(cx - minX), y: r2(cy - minY) };
+    });
+  return {
+    styleId: STYLE_BUILDERS[styleId] ? styleId : 'ttm',
+    widthMM: r2(Math.max(...all.map((p) => p[0])) - minX),
+    heightMM: r2(Math.max(...all.map((p) => p[1])) - minY),
+    areaMM2: panels.reduce((sum, p) => sum + area(p.pts), 0),
+    cuts: move(cuts), creases: move(creases), labels,
+    cutLengthMM: length(cuts), creaseLengthMM: length(creases),
+  };
+}
+
+// -----------------------------
+// Exports (1:1, mm)
+// -----------------------------
+// Cut = solid red, crease = dashed blue – the usual convention suppliers expect.
+const MARGIN_MM = 10;
+
+export function dielineToSVG(dl, { labels = true } = {}) {
+  const w = r2(dl.widthMM + 2 * MARGIN_MM);
+  const h = r2(dl.heightMM + 2 * MARGIN_MM);
+  const line = ([s, e]) => `<line x1="${s[0]}" y1="${s[1]}" x2="${e[0]}" y2="${e[1]}"/>`;
+  const esc = (t) => String(t).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${w}mm" height="${h}mm" viewBox="0 0 ${w} ${h}">`,
+    `<g transform="translate(${MARGIN_MM} ${MARGIN_MM})" fill="none" stroke-width="0.25">`,
+    `<g id="cut" stroke="#E11D48">${dl.cuts.map(line).join('')}</g>`,
+    `<g id="crease" stroke="#2563EB" stroke-dasharray="3 2">${dl.creases.map(line).join('')}</g>`,
+    labels ? `<g id="labels" fill="#64748B" stroke="none" font-family="Helvetica, Arial, sans-serif" font-size="4" text-anchor="middle">${dl.labels.map((l) => `<text x="${l.x}" y="${l.y}">${esc(l.text)}</text>`).join('')}</g>` : '',
+    '</g>',
+    '</svg>',
+  ].join('\n');
+}
+
+/** DXF R12 (ASCII): LINE entities on CUT / CREASE layers, mm, y up. */
+export function dielineToDXF(dl) {
+  const out = [];
+  const pair = (code, value) => out.push(String(code), String(value));
+  pair(0, 'SECTION'); pair(2, 'HEADER');
+  pair(9, '$INSUNITS'); pair(70, 4); // 4 = millimetres
+  pair(9, '$EXTMIN'); pair(10, 0); pair(20, 0);
+  pair(9, '$EXTMAX'); pair(10, dl.widthMM); pair(20, dl.heightMM);
+  pair(0, 'ENDSEC');
+  pair(0, 'SECTION'); pair(2, 'TABLES');
+  pair(0, 'TABLE'); pair(2, 'LAYER'); pair(70, 2);
+  for (const [name, color] of [['CUT', 1], ['CREASE', 5]]) {
+    pair(0, 'LAYER'); pair(2, name); pair(70, 0); pair(62, color); pair(6, 'CONTINUOUS');
+  }
+  pair(0, 'ENDTAB'); pair(0, 'ENDSEC');
+  pair(0, 'SECTION'); pair(2, 'ENTITIES');
+  const lines = (segs, layer) => {
+    for (const [s, e] of segs) {
+      pair(0, 'LINE'); pair(8, layer);
+      pair(10, s[0]); pair(20, r2(dl.heightMM - s[1])); pair(30, 0);
+      pair(11, e[0]); pair(21, r2(dl.heightMM - e[1])); pair(31, 0);
+    }
+  };
+  lines(dl.cuts, 'CUT');
+  lines(dl.creases, 'CREASE');
+  pair(0, 'ENDSEC');
+  pair(0, 'EOF');
+  return out.join('\n');
+}
+
+/** Single-page vector PDF at 1:1 (page = blank + margin). Returns the file as a string (ASCII). */
+export function dielineToPDF(dl, { title = 'Dieline' } = {}) {
+  const pt = 72 / 25.4;
+  const w = (dl.widthMM + 2 * MARGIN_MM) * pt;
+  const h = (dl.heightMM + 2 * MARGIN_MM) * pt;
+  const X = (x) => ((x + MARGIN_MM) * pt).toFixed(2);
+  const Y = (y) => (h - (y + MARGIN_MM) * pt).toFixed(2);
+  const path = (segs) => segs.map(([s, e]) => `${X(s[0])} ${Y(s[1])} m ${X(e[0])} ${Y(e[1])} l`).join('\n');
+  const pdfText = (t) => String(t).replace(/[^\x20-\x7E]/g, '?').replace(/([()\\])/g, '\\$1');
+  const content = [
+    '0.7 w',
+    '0.88 0.11 0.28 RG', path(dl.cuts), 'S',
+    '0.15 0.39 0.92 RG [8.5 5.7] 0 d', path(dl.creases), 'S',
+    '[] 0 d 0.39 0.45 0.55 rg BT /F1 9 Tf',
+    ...dl.labels.map((l) => `1 0 0 1 ${X(l.x)} ${Y(l.y)} Tm (${pdfText(l.text)}) Tj`),
+    `1 0 0 1 ${X(0)} ${(h - 0.6 * MARGIN_MM * pt).toFixed(2)} Tm (${pdfText(title)}) Tj`,
+    'ET',
+  ].join('\n');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${w.toFixed(2)} ${h.toFixed(2)}] /Resources << /Font << /F1 5 0 R >> >> /Contents 4 0 R >>`,
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const at = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return at;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return pdf;
+}
@@ -0,0 +1,80 @@
+/**
+ * Marketplace fee profiles: what a sales channel takes per order, as fee lines of
+ * percentage of price + fixed amount, with an optional minimum per line.
+ */
+
+// -----------------------------
+// Fee profiles
+// -----------------------------
+// Line: { id, label, pct, fixedUSD, minUSD, byCategory }. byCategory lines take pct/minUSD from
+// the selected category. The figures are illustrative public list rates (US) – check them
+// against your seller account and edit here.
+export const FEE_PROFILES = [
+  {
+    id: 'custom', label: 'Custom',
+    // pct / fixed / min come from the form (variableFeePct, customFeeFixedUSD, customFeeMinUSD)
+    lines: [{ id: 'custom', label: 'Variable fee', custom: true }],
+  },
+  {
+    id: 'amazon', label: 'Amazon (US)',
+    categories: [
+      { id: 'general', label: 'Most categories', pct: 15, minUSD: 0.30 },
+      { id: 'electronics', label: 'Consumer electronics', pct: 8, minUSD: 0.30 },
+      { id: 'home', label: 'Home & kitchen', pct: 15, minUSD: 0.30 },
+      { id: 'clothing', label: 'Clothing & accessories', pct: 17, minUSD: 0.30 },
+      { id: 'jewelry', label: 'Jewelry', pct: 20, minUSD: 0.30 },
+    ],
+    lines: [{ id: 'referral', label: 'Referral fee', byCategory: true }],
+  },
+  {
+    id: 'etsy', label: 'Etsy',
+    lines: [
+      { id: 'listing', label: 'Listing fee', fixedUSD: 0.20 },
+      { id: 'transaction', label: 'Transaction fee', pct: 6.5 },
+      { id: 'processing', label: 'Payment processing', pct: 3, fixedUSD: 0.25 },
+    ],
+  },
+  {
+    id: 'shopify', label: 'Shopify Payments',
+    lines: [{ id: 'processing', label: 'Card processing', pct: 2.9, fixedUSD: 0.30 }],
+  },
+  {
+    id: 'tiktok', label: 'TikTok Shop (US)',
+    categories: [
+      { id: 'general', label: 'Most categories', pct: 8 },
+      { id: 'electronics', label: 'Electronics', pct: 5 },
+    ],
+    lines: [{ id: 'referral', label: 'Referral fee (incl. payment processing)', byCategory: true }],
+  },
+];
+
+export const DEFAULT_FEE_PROFILE = 'custom';
+
+export function findFeeProfile(id) {
+  return FEE_PROFILES.find((p) => p.id === id) || null;
+}
+
+// -----------------------------
+// Fees for one order
+// -----------------------------
+/**
+ * Fee lines for a selling price → { lines: [{ id, label, amountUSD, detail }], totalUSD }.
+ * custom: { pct, fixedUSD, minUSD } for the Custom profile.
+ */
+export function computeMarketplaceFees({ profileId, categoryId, priceUSD, custom = {} }) {
+  const profile = findFeeProfile(profileId) || findFeeProfile(DEFAULT_FEE_PROFILE);
+  const category = (profile.categories || []).find((c) => c.id === categoryId) || (profile.categories || [])[0] || {};
+  const price = Math.max(0, Number(priceUSD) || 0);
+  const lines = profile.lines.map((line) => {
+    const src = line.custom ? custom : line.byCategory ? category : line;
+    const pct = Number(src.pct) || 0;
+    const fixedUSD = Number(line.custom ? custom.fixedUSD : line.fixedUSD) || 0;
+    const minUSD = Number(src.minUSD) || 0;
+    const raw = price * pct / 100 + fixedUSD;
+    const amountUSD = Math.max(raw, minUSD);
+    const parts = [pct ? `${pct}%` : '', fixedUSD ? `$${fixedUSD.toFixed(2)}` : ''].filter(Boolean).join(' + ') || '$0.00';
+    const detail = amountUSD > raw ? `${parts}, min $${minUSD.toFixed(2)}` : parts;
+    return { id: line.id, label: line.byCategory && category.label ? `${line.label} – ${category.label}` : line.label, amountUSD, detail };
+  });
+  return { lines, totalUSD: lines.reduce((sum, l) => sum + l.amountUSD, 0) };
+}
@@ -0,0 +1,201 @@
+/**
+ * Box geometry: styles, dimensional-weight divisors, unit conversion,
+ * inner/outer dimensions and product → box fitting. Pure functions, no React.
+ */
+
+// -----------------------------
+// Box styles & divisors
+// -----------------------------
+export const STYLE_OPTIONS = [
+  { id: "ttm", name: "Tuck Top Mailer (TTM)", note: "Common mailer with hinged lid" },
+  { id: "rett", name: "Roll End Tuck Top (RETT)", note: "Sturdy mailer, roll-over sides" },
+  { id: "reft", name: "Roll End Front Tuck (REFT)", note: "Front locking tabs" },
+  { id: "rsc", name: "Regular Slotted Carton (RSC)", note: "Standard shipping carton" },
+  { id: "rigid", name: "Rigid Mailer / Envelope", note: "Flat document mailer" },
+];
+
+// Board layers between outer and inner size per axis (both sides together), by style:
+//  - ttm:   side walls + dust flaps (L), front + back + lid tuck inside the front (W), base + lid (H)
+//  - rett:  roll-over double side walls with the dust flaps between them (L)
+//  - reft:  roll-over double front + back + tuck (W)
+//  - rsc:   end walls + glue flap overlap (L), two flap layers top and bottom (H)
+//  - rigid: glue-flap seams on both sides (L), gusset fold + closure (W), front + back (H)
+export const STYLE_BOARD_LAYERS = {
+  ttm: { L: 4, W: 3, H: 2 },
+  rett: { L: 6, W: 3, H: 2 },
+  reft: { L: 4, W: 4, H: 2 },
+  rsc: { L: 3, W: 2, H: 4 },
+  rigid: { L: 4, W: 2, H: 2 },
+};
+const PLAIN_BOARD_LAYERS = { L: 2, W: 2, H: 2 };
+
+export function boardLayersFor(styleId) {
+  return STYLE_BOARD_LAYERS[styleId] || PLAIN_BOARD_LAYERS;
+}
+
+export const DIVISORS = {
+  metric: [
+    { id: "cm5000", label: "Express (5000 cm³/kg)", divisor: 5000, vwUnit: "kg" },
+    { id: "cm6000", label: "Some carriers (6000 cm³/kg)", divisor: 6000, vwUnit: "kg" },
+    { id: "cm8000", label: "Economy (8000 cm³/kg)", divisor: 8000, vwUnit: "kg" },
+    { id: "cm9000", label: "Economy (9000 cm³/kg)", divisor: 9000, vwUnit: "kg" },
+    { id: "cm4000", label: "Bulky freight (4000 cm³/kg)", divisor: 4000, vwUnit: "kg" },
+  ],
+  imperial: [
+    { id: "in139", label: "UPS/FedEx (139 in³/lb)", divisor: 139, vwUnit: "lb" },
+    { id: "in166", label: "Alt/older (166 in³/lb)", divisor: 166, vwUnit: "lb" },
+  ],
+};
+
+export const ABS_FALLBACK_DIVISOR = { id: "cm5000", label: "Express (5000 cm³/kg)", divisor: 5000, vwUnit: "kg" };
+
+// -----------------------------
+// Units & geometry
+// -----------------------------
+export function clampNumber(n, min, max) {
+  const x = Number(n);
+  if (!Number.isFinite(x)) return min;
+  return Math.min(max, Math.max(min, x));
+}
+
+export function normalizeUnits(units) {
+  return units === "in" ? "in" : "cm"; // default to cm on any unexpected value
+}
+
+export function getDivisorListFor(units) {
+  const u = normalizeUnits(units);
+  return u === "in" ? DIVISORS.imperial : DIVISORS.metric;
+}
+
+export function safeGetDivisor(units, divisorId) {
+  const list = getDivisorListFor(units);
+  if (!Array.isArray(list) || list.length === 0) return ABS_FALLBACK_DIVISOR;
+  const found = list.find((d) => d && d.id === divisorId);
+  return found || list[0] || ABS_FALLBACK_DIVISOR;
+}
+
+export function safeDivisorNumber(divisorObj, units) {
+  const d = Number(divisorObj && divisorObj.divisor);
+  if (Number.isFinite(d) && d > 0) return d;
+  return normalizeUnits(units) === "in" ? 139 : 5000;
+}
+
+export function findDivisorById(id) {
+  return [...DIVISORS.metric, ...DIVISORS.imperial].find((d) => d.id === id) || null;
+}
+
+export function lbToKg(lb) { return lb * 0.45359237; }
+
+export function chargeableToKg(units, chargeable) {
+  return normalizeUnits(units) === 'cm' ? chargeable : lbToKg(chargeable);
+}
+
+export function toKg(units, value) {
+  const v = Math.max(0, Number(value) || 0);
+  return normalizeUnits(units) === 'cm' ? v : lbToKg(v);
+}
+
+// cm³ ↔ in³
+export function convertVolume(volume, fromUnits, toUnits) {
+  const f = normalizeUnits(fromUnits); const t = normalizeUnits(toUnits);
+  if (f === t) return volume;
+  return f === 'in' ? volume * 16.387064 : volume / 16.387064;
+}
+
+// Longest side + 2 × (the other two sides)
+export function girthOf(dimsCm) {
+  const [a, b, c] = [...(dimsCm || [0, 0, 0])].map((x) => Number(x) || 0).sort((x, y) => y - x);
+  return a + 2 * (b + c);
+}
+
+// Convert board thickness to same unit as dims
+export function boardInUnits(units, boardMM) {
+  return normalizeUnits(units) === "cm" ? boardMM / 10 : boardMM / 25.4; // cm or in
+}
+
+/**
+ * styleId picks the board layers per axis (STYLE_BOARD_LAYERS; none = one wall each side).
+ * blankAreaMM2: board area of the style's blank (buildDieline) – used as the surface area
+ * when given, otherwise the closed-box outer surface.
+ */
+export function computeBoxCalculations({ L, W, H, units, boardMM, divisor, actualWeight, styleId, blankAreaMM2 }) {
+  const board = boardInUnits(units, boardMM);
+  const layers = boardLayersFor(styleId);
+
+  const outer = { L, W, H };
+  const inner = {
+    L: Math.max(0, L - layers.L * board),
+    W: Math.max(0, W - layers.W * board),
+    H: Math.max(0, H - layers.H * board),
+  };
+
+  const volume = L * W * H; // cm^3 or in^3
+  const innerVolume = inner.L * inner.W * inner.H;
+
+  const divisorSafe = Math.max(1, Number(divisor) || 1);
+  const volWeight = volume / divisorSafe; // kg or lb depending on profile
+
+  // Chargeable weight: max(actual, volumetric). If actualWeight is missing, just use volumetric.
+  const chargeable = actualWeight > 0 ? Math.max(actualWeight, volWeight) : volWeight;
+
+  // Surface area: the blank's board area (cm² / in²), else the outer surface 2(LW + LH + WH)
+  const mm2PerUnit = normalizeUnits(units) === "cm" ? 100 : 645.16;
+  const surfaceArea = blankAreaMM2 > 0 ? blankAreaMM2 / mm2PerUnit : 2 * (L * W + L * H + W * H);
+
+  return { outer, inner, layers, volume, innerVolume, volWeight, chargeable, surfaceArea };
+}
+
+// -----------------------------
+// Product → box fitting (inverse of computeBoxCalculations' board allowance)
+// -----------------------------
+export const FIT_MAX_COUNT = 1000;
+
+function productOrientations({ L, W, H }, upright) {
+  const perms = upright
+    ? [[L, W, H], [W, L, H]]
+    : [[L, W, H], [L, H, W], [W, L, H], [W, H, L], [H, L, W], [H, W, L]];
+  const seen = new Set();
+  return perms.filter((p) => { const k = p.join('x'); if (seen.has(k)) return false; seen.add(k); return true; });
+}
+
+/**
+ * Smallest boxes that hold `count` products in a grid.
+ * product: { L, W, H } (units of the form); padding: clearance on every side of the stack;
+ * gap: clearance between neighbouring products; upright: product H stays vertical.
+ * Returns up to `limit` candidates by inner volume:
+ *   [{ orientation: [x, y, z], grid: [nx, ny, nz], spare, inner: { L, W, H }, outer: { L, W, H }, innerVolume }]
+ */
+export function fitProductsToBox({ product, count, padding, gap, upright, units, boardMM, styleId, limit = 5 }) {
+  const n = Math.max(1, Math.min(FIT_MAX_COUNT, Math.floor(Number(count) || 1)));
+  const pad = Math.max(0, Number(padding) || 0);
+  const g = Math.max(0, Number(gap) || 0);
+  const p = { L: Number(product.L) || 0, W: Number(product.W) || 0, H: Number(product.H) || 0 };
+  if (!(p.L > 0 && p.W > 0 && p.H > 0)) return [];
+  const board = boardInUnits(units, boardMM);
+  const layers = boardLayersFor(styleId);
+  const span = (k, d) => k * d + (k - 1) * g + 2 * pad;
+  const up = (x) => Math.ceil(x * 10 - 1e-9) / 10; // round outer dims up to 0.1
+  const out = [];
+  for (const [x, y, z] of productOrientations(p, upright)) {
+    for (let nx = 1; nx <= n; nx++) {
+      for (let ny = 1; ny <= Math.ceil(n / nx); ny++) {
+        const nz = Math.ceil(n / (nx * ny));
+        // Inner L ≥ W for a stable footprint; outer = inner + the style's board layers per axis
+        const [iL, iW] = [span(nx, x), span(ny, y)].sort((a, b) => b - a);
+        const inner = { L: iL, W: iW, H: span(nz, z) };
+        out.push({
+          orientation: [x, y, z], grid: [nx, ny, nz], spare: nx * ny * nz - n,
+          inner,
+          outer: { L: up(iL + layers.L * board), W: up(iW + layers.W * board), H: up(inner.H + layers.H * board) },
+          innerVolume: inner.L * inner.W * inner.H,
+        });
+      }
+    }
+  }
+  out.sort((a, b) => a.innerVolume - b.innerVolume || a.spare - b.spare
+    || (a.outer.L + a.outer.W + a.outer.H) - (b.outer.L + b.outer.W + b.outer.H) || a.outer.H - b.outer.H);
+  // Without the upright constraint a box turned on its side is the same box – keep the flattest
+  const keyOf = (o) => (upright ? [o.L, o.W, o.H] : [o.L, o.W, o.H].sort((a, b) => b - a)).join('x');
+  const seen = new Set();
+  return out.filter((c) => { const k = keyOf(c.outer); if (seen.has(k)) return false; seen.add(k); return true; }).slice(0, limit);
+}
@@ -0,0 +1,173 @@
+/**
+ * YunExpress price sheet import: spreadsheet rows (XLSX/CSV) → rate tables,
+ * plus merge/diff against the current table. Reading the file happens in the page.
+ */
+import { LINE_NO_BATTERY, LINE_BATTERY, YUNEXPRESS_US_TABLE } from './rates.mjs';
+
+// -----------------------------
+// Price sheet import (XLSX/CSV → rate tables)
+// -----------------------------
+export const COUNTRY_ALIASES = {
+  'us': 'United States', 'usa': 'United States', 'united states of america': 'United States', '美国': 'United States',
+  'uk': 'United Kingdom', 'gb': 'United Kingdom', 'great britain': 'United Kingdom', '英国': 'United Kingdom',
+  'de': 'Germany', 'deutschland': 'Germany', '德国': 'Germany',
+  'fr': 'France', '法国': 'France',
+  'ca': 'Canada', '加拿大': 'Canada',
+  'au': 'Australia', '澳大利亚': 'Australia',
+};
+
+export function normalizeCountryName(v) {
+  const s = String(v ?? '').trim();
+  return COUNTRY_ALIASES[s.toLowerCase()] || s;
+}
+
+// "No Battery" is tested first: "不带电" / "no battery" also contain the battery keywords.
+export function detectLineName(v) {
+  const s = String(v ?? '');
+  if (/no\s*batter|non[-\s]*batter|without\s*batter|general|普货|不带电/i.test(s)) return LINE_NO_BATTERY;
+  if (/batter|带电|内置电/i.test(s)) return LINE_BATTERY;
+  return null;
+}
+
+export function parseNumberCell(v) {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  const m = String(v ?? '').replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+  return m ? Number(m[0]) : null;
+}
+
+// "0-0.1", "0.1<W≤0.2", "2.001~30" → { lo, hi }; a single number is an upper bound.
+export function parseWeightRange(v) {
+  if (typeof v === 'number') return Number.isFinite(v) ? { lo: null, hi: v } : null;
+  const nums = (String(v ?? '').replace(/,/g, '').match(/\d+(?:\.\d+)?/g) || []).map(Number);
+  if (nums.length >= 2) return { lo: nums[0], hi: nums[1] };
+  if (nums.length === 1) return { lo: null, hi: nums[0] };
+  return null;
+}
+
+// Header keyword → column role. Order matters: the first matching role wins.
+export const SHEET_COLUMN_RULES = [
+  ['country', /country|destination|国家|目的地/i],
+  ['line', /^line|battery|product|cargo|产品|货物|带电/i],
+  ['itemFee', /item|registration|handling|parcel|piece|挂号|处理费|票|件/i],
+  ['feePerKg', /\/\s*kg|per\s*kg|运费/i],
+  ['weightLo', /^(from|min|start|lower)|(weight|kg|重量).*(from|min|start|lower)|起始|最小/i],
+  ['weightHi', /^(to|max|end|upper)\b|(weight|kg|重量).*(to|max|end|upper)\b|截止|最大/i],
+  ['weight', /weight|重量|kg/i],
+];
+
+function detectSheetColumns(headerRow) {
+  const cols = {};
+  (headerRow || []).forEach((cell, i) => {
+    const text = String(cell ?? '').trim();
+    if (!text) return;
+    const rule = SHEET_COLUMN_RULES.find(([role, re]) => cols[role] === undefined && re.test(text));
+    if (rule) cols[rule[0]] = i;
+  });
+  const hasWeight = cols.weight !== undefined || cols.weightHi !== undefined;
+  return hasWeight && cols.feePerKg !== undefined ? cols : null;
+}
+
+function findSheetHeader(rows) {
+  const limit = Math.min(rows.length, 15);
+  for (let i = 0; i < limit; i++) {
+    const cols = detectSheetColumns(rows[i]);
+    if (cols) return { headerIndex: i, cols };
+  }
+  return null;
+}
+
+// Sort, close the 0.001 kg gaps sheets leave between brackets (0.1 → 0.101) and check the ranges.
+function normalizeBrackets(list, label, errors) {
+  const out = [...list].sort((a, b) => a.hi - b.hi).map((b) => ({ ...b }));
+  out.forEach((b, i) => {
+    const prevHi = i > 0 ? out[i - 1].hi : 0;
+    if (b.lo === null || (b.lo > prevHi && b.lo - prevHi <= 0.01)) b.lo = prevHi;
+    if (b.hi <= b.lo) errors.push(`${label}: bracket ${b.lo}–${b.hi} kg is empty.`);
+    else if (b.lo < prevHi - 1e-9) errors.push(`${label}: bracket ${b.lo}–${b.hi} kg overlaps the previous one (ends ${prevHi} kg).`);
+    else if (b.lo > prevHi + 1e-9) errors.push(`${label}: gap between ${prevHi} and ${b.lo} kg.`);
+  });
+  return out;
+}
+
+/**
+ * Turn spreadsheet rows into rate tables.
+ * sheets: [{ name, rows: any[][] }]; options: { country, line } fill in what the sheet doesn't say.
+ * Returns { tables: { [country]: { country, lines } }, errors, warnings }.
+ */
+export function parsePriceSheet(sheets, options) {
+  const errors = []; const warnings = [];
+  const found = {}; // country → line → brackets
+  for (const sheet of sheets || []) {
+    const rows = (sheet.rows || []).filter((r) => Array.isArray(r) && r.some((c) => String(c ?? '').trim() !== ''));
+    const header = findSheetHeader(rows);
+    if (!header) { warnings.push(`${sheet.name}: no header with weight and fee-per-kg columns – skipped.`); continue; }
+    const { headerIndex, cols } = header;
+    const sheetLine = detectLineName(sheet.name);
+    let lastCountry = null; let lastLine = null;
+    for (let i = headerIndex + 1; i < rows.length; i++) {
+      const r = rows[i];
+      const where = `${sheet.name} row ${i + 1}`;
+      const feePerKg = parseNumberCell(r[cols.feePerKg]);
+      if (feePerKg === null) continue; // section titles, notes, blank fee cells
+      let range;
+      if (cols.weightHi !== undefined) {
+        const hi = parseNumberCell(r[cols.weightHi]);
+        range = hi === null ? null : { lo: cols.weightLo !== undefined ? parseNumberCell(r[cols.weightLo]) : null, hi };
+      } else {
+        range = parseWeightRange(r[cols.weight]);
+      }
+      if (!range) { errors.push(`${where}: could not read the weight range "${r[cols.weight ?? cols.weightHi] ?? ''}".`); continue; }
+      const itemFee = cols.itemFee !== undefined ? parseNumberCell(r[cols.itemFee]) : 0;
+      if (itemFee === null) { errors.push(`${where}: item fee "${r[cols.itemFee]}" is not a number.`); continue; }
+      // Merged cells in XLSX exports leave country/line blank below the first row of a block.
+      const countryCell = cols.country !== undefined ? String(r[cols.country] ?? '').trim() : '';
+      const lineCell = cols.line !== undefined ? detectLineName(r[cols.line]) : null;
+      if (countryCell) lastCountry = normalizeCountryName(countryCell);
+      if (lineCell) lastLine = lineCell;
+      const country = countryCell ? lastCountry : (lastCountry || options.country);
+      const line = lineCell || lastLine || sheetLine || options.line;
+      if (!country) { errors.push(`${where}: no country column – choose the destination to import into.`); continue; }
+      found[country] = found[country] || {};
+      (found[country][line] = found[country][line] || []).push({ lo: range.lo, hi: range.hi, feePerKg, itemFee });
+    }
+  }
+  const tables = {};
+  for (const [country, lines] of Object.entries(found)) {
+    const table = { country, lines: {} };
+    for (const [line, list] of Object.entries(lines)) {
+      table.lines[line] = normalizeBrackets(list, `${country} / ${line}`, errors);
+    }
+    tables[country] = table;
+  }
+  if (!Object.keys(tables).length && !errors.length) errors.push('No price brackets found in this file.');
+  return { tables, errors, warnings };
+}
+
+// Imported lines replace the current ones; lines the sheet doesn't mention are kept.
+// meta: { version, effectiveDate }
+export function mergeImportedTable(current, imported, source, meta) {
+  const base = current || { country: imported.country, minWeightKg: YUNEXPRESS_US_TABLE.minWeightKg, roundStepKg: YUNEXPRESS_US_TABLE.roundStepKg, lines: {} };
+  return { ...base, lines: { ...base.lines, ...imported.lines }, source, version: meta.version, effectiveDate: meta.effectiveDate };
+}
+
+// Per imported line: every bracket tagged added / removed / changed / same against the current table.
+export function diffRateTable(current, imported) {
+  const same = (a, b) => Math.abs(a - b) < 1e-9;
+  const lines = {};
+  let changed = 0;
+  for (const [line, next] of Object.entries(imported.lines)) {
+    const prev = (current && current.lines && current.lines[line]) || [];
+    const rows = next.map((after) => {
+      const before = prev.find((b) => same(b.lo, after.lo) && same(b.hi, after.hi));
+      const status = !before ? 'added' : (same(before.feePerKg, after.feePerKg) && same(before.itemFee, after.itemFee) ? 'same' : 'changed');
+      return { lo: after.lo, hi: after.hi, status, before: before || null, after };
+    });
+    prev.forEach((before) => {
+      if (!next.some((a) => same(a.lo, before.lo) && same(a.hi, before.hi))) rows.push({ lo: before.lo, hi: before.hi, status: 'removed', before, after: null });
+    });
+    rows.sort((a, b) => a.hi - b.hi);
+    changed += rows.filter((r) => r.status !== 'same').length;
+    lines[line] = rows;
+  }
+  return { lines, changed };
+}
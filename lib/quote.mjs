@@ -0,0 +1,654 @@
+/**
+ * Quote engine: one setup (box, weights, lane, commercial inputs) → everything the
+ * Calculated card shows. Shared by the page and the /api/quote route.
+ */
+import { BOARD_GRADES, DEFAULT_BOARD_GRADE, findBoardGrade, computePackagingCost } from './board.mjs';
+import { computeLandedCost } from './customs.mjs';
+import { buildDieline } from './dieline.mjs';
+import { FEE_PROFILES, DEFAULT_FEE_PROFILE, findFeeProfile, computeMarketplaceFees } from './fees.mjs';
+import {
+  STYLE_OPTIONS, clampNumber, normalizeUnits, safeGetDivisor, safeDivisorNumber, findDivisorById, lbToKg, toKg,
+  convertVolume, computeBoxCalculations,
+} from './geometry.mjs';
+import {
+  DEFAULT_COUNTRY, DEFAULT_RATES, lineNameFor, getRateTable, sheetUnavailableReason,
+  checkLaneLimits, computeSheetCNY, computeManualCNY, cnyToUsd, usdToCny,
+} from './rates.mjs';
+
+// -----------------------------
+// Carrier profiles – divisor + rate model, priced side by side
+// -----------------------------
+// divisorId: null = the divisor currently selected in Box Setup.
+// Rate kinds:
+//  - sheet:       YunExpress table for the selected country + battery line (incl. surcharges)
+//  - manual:      the Manual per-kg rates from Box Setup
+//  - perKg:       price per started `stepKg` + item fee, with a minimum charge
+//  - weightTable: price by weight rounded up to a whole `unit` (lb/kg), then `perUnitAbove`
+// The UPS/FedEx and economy figures are illustrative list prices – edit them to your contract.
+export const CARRIER_PROFILES = [
+  { id: 'yun-current', label: 'YunExpress sheet (selected divisor)', divisorId: null, rate: { kind: 'sheet' } },
+  { id: 'yun-8000', label: 'YunExpress sheet · 8000 cm³/kg', divisorId: 'cm8000', rate: { kind: 'sheet' } },
+  {
+    id: 'ups-fedex', label: 'UPS/FedEx-style · 139 in³/lb', divisorId: 'in139',
+    rate: {
+      kind: 'weightTable', currency: 'USD', unit: 'lb',
+      prices: [
+        { upTo: 1, price: 11.8 }, { upTo: 2, price: 13.4 }, { upTo: 3, price: 14.9 }, { upTo: 4, price: 16.2 },
+        { upTo: 5, price: 17.4 }, { upTo: 7, price: 20.1 }, { upTo: 10, price: 24.3 }, { upTo: 15, price: 30.6 },
+        { upTo: 20, price: 36.2 },
+      ],
+      perUnitAbove: 1.45,
+    },
+  },
+  { id: 'economy-8000', label: 'Economy lane · 8000 cm³/kg', divisorId: 'cm8000', rate: { kind: 'perKg', currency: 'CNY', perKg: 48, stepKg: 0.5, itemFee: 10, minCharge: 25 } },
+  { id: 'manual', label: 'Manual per-kg (selected divisor)', divisorId: null, rate: { kind: 'manual' } },
+];
+
+function priceWeightTable(rate, weightKg) {
+  const w = rate.unit === 'lb' ? weightKg / 0.45359237 : weightKg;
+  const billed = Math.max(1, Math.ceil(w - 1e-9));
+  const prices = rate.prices || [];
+  const row = prices.find((p) => billed <= p.upTo);
+  if (row) return { price: row.price, billed, detail: `≤${row.upTo} ${rate.unit} = ${row.price}` };
+  const last = prices[prices.length - 1] || { upTo: 0, price: 0 };
+  const extra = (billed - last.upTo) * (rate.perUnitAbove || 0);
+  return { price: last.price + extra, billed, detail: `${last.price} + ${billed - last.upTo}×${rate.perUnitAbove} ${rate.unit}` };
+}
+
+/**
+ * Price one carrier profile for the current box.
+ * ctx: { volume, units, divisor (selected), actualKg, battery, country, tables, parcel, rates }
+ * Returns { id, label, divisorLabel, volKg, chargeableKg, totalCNY, totalUSD, detail } or the same with
+ * `unavailable` set (and no price) when the profile can't quote this parcel.
+ */
+export function quoteCarrierProfile(profile, ctx) {
+  const d = profile.divisorId ? findDivisorById(profile.divisorId) : ctx.divisor;
+  const dUnits = d && d.vwUnit === 'lb' ? 'in' : 'cm';
+  const volWeight = convertVolume(ctx.volume, ctx.units, dUnits) / safeDivisorNumber(d, dUnits);
+  const volKg = dUnits === 'in' ? lbToKg(volWeight) : volWeight;
+  const chargeableKg = Math.max(volKg, ctx.actualKg || 0);
+  const base = { id: profile.id, label: profile.label, divisorLabel: d ? d.label : '', volKg, chargeableKg };
+  const rate = profile.rate || {};
+  let totalCNY = 0; let detail = '';
+  if (rate.kind === 'sheet') {
+    const table = getRateTable(ctx.country, ctx.tables);
+    const violations = table ? checkLaneLimits({ table, battery: ctx.battery, weightKg: chargeableKg, dimsCm: ctx.parcel && ctx.parcel.dimsCm }) : [];
+    const reason = sheetUnavailableReason({ battery: ctx.battery, country: ctx.country, tables: ctx.tables })
+      || (violations.length ? `Not shippable: ${violations.join('; ')}` : null);
+    const res = reason ? null : computeSheetCNY({ weightKg: chargeableKg, battery: ctx.battery, country: ctx.country, table, parcel: ctx.parcel });
+    if (!res) return { ...base, unavailable: reason || 'Not priced' };
+    totalCNY = res.totalCNY; detail = `${res.bracket.feePerKg}/kg + ${res.bracket.itemFee}` + (res.surcharges.length ? ' + surcharges' : '');
+  } else if (rate.kind === 'manual') {
+    const res = computeManualCNY({ weightKg: chargeableKg, rates: ctx.rates });
+    totalCNY = res.totalCNY; detail = `${ctx.rates.perKgCNY}/kg × ${res.usedKg}`;
+  } else if (rate.kind === 'perKg') {
+    const step = Math.max(1e-6, rate.stepKg || 1);
+    const billed = Math.ceil(chargeableKg / step - 1e-9) * step;
+    const price = Math.max(rate.minCharge || 0, billed * rate.perKg + (rate.itemFee || 0));
+    totalCNY = rate.currency === 'USD' ? usdToCny(price, ctx.rates.cnyPerUSD) : price;
+    detail = `${rate.perKg}/kg × ${billed.toFixed(1)} + ${rate.itemFee || 0} ${rate.currency}`;
+  } else if (rate.kind === 'weightTable') {
+    const r = priceWeightTable(rate, chargeableKg);
+    totalCNY = rate.currency === 'USD' ? usdToCny(r.price, ctx.rates.cnyPerUSD) : r.price;
+    detail = `${r.detail} ${rate.currency}`;
+  } else {
+    return { ...base, unavailable: `Unknown rate model "${rate.kind}"` };
+  }
+  return { ...base, totalCNY, totalUSD: cnyToUsd(totalCNY, ctx.rates.cnyPerUSD), detail };
+}
+
+// -----------------------------
+// Quote – everything the Calculated card shows for one setup (pure; also re-quotes saved rows)
+// -----------------------------
+// qty units at `perBox` per parcel → [{ units, count }]: the full parcels, then the partial last one
+export function splitIntoParcels(qty, perBox) {
+  const q = Math.max(0, Math.floor(Number(qty) || 0));
+  const n = Math.max(1, Math.floor(Number(perBox) || 1));
+  const full = Math.floor(q / n);
+  const rest = q - full * n;
+  const out = [];
+  if (full > 0) out.push({ units: n, count: full });
+  if (rest > 0) out.push({ units: rest, count: 1 });
+  return out.length ? out : [{ units: 0, count: 1 }];
+}
+
+export const NULL_RES = { totalCNY: 0, baseCNY: 0, surcharges: [], usedKg: 0, bracket: null };
+
+export function describeShipping(res, { pricingMode, country, battery, rates, sheetUnavailable, laneViolations }) {
+  if (!res) return '';
+  if (sheetUnavailable) return `Sheet(${country}): ${sheetUnavailable}`;
+  if (laneViolations && laneViolations.length) return `Not shippable (${country}): ${laneViolations.join('; ')}`;
+  if (pricingMode === 'sheet' && res.bracket) {
+    const b = res.bracket;
+    const base = `Sheet(${country}, ${battery ? 'Battery' : 'No Battery'}): fee ${b.feePerKg}×${res.usedKg.toFixed(3)} + item ${b.itemFee}`;
+    if (!res.surcharges || !res.surcharges.length) return `${base} = ${res.totalCNY.toFixed(2)} CNY`;
+    const extras = res.surcharges.map((x) => ` + ${x.label} (${x.detail}) ${x.amountCNY.toFixed(2)}`).join('');
+    return `${base} = ${res.baseCNY.toFixed(2)}${extras} = ${res.totalCNY.toFixed(2)} CNY`;
+  }
+  if (pricingMode === 'manual') {
+    return `Manual: perKg ${rates.perKgCNY} × ${res.usedKg} kg = ${res.totalCNY.toFixed(2)} CNY`;
+  }
+  return '';
+}
+
+/**
+ * Selling price at which (price − costAt(price)) / price = marginPct %. costAt may include
+ * price-dependent fees; bisection keeps working once those stop being a flat percentage.
+ * Returns null when no price reaches the margin (fees + margin ≥ 100% of price).
+ */
+export function solvePriceForMargin(costAt, marginPct) {
+  const m = (Number(marginPct) || 0) / 100;
+  const gap = (p) => p * (1 - m) - costAt(p); // increasing in p while the margin is reachable
+  if (m >= 1) return null;
+  if (gap(0) >= 0) return 0;
+  let hi = 1;
+  while (gap(hi) < 0) { hi *= 2; if (hi > 1e9) return null; }
+  let lo = hi > 1 ? hi / 2 : 0;
+  for (let i = 0; i < 100 && hi - lo > 1e-6; i++) {
+    const mid = (lo + hi) / 2;
+    if (gap(mid) < 0) lo = mid; else hi = mid;
+  }
+  return Math.ceil(hi * 100) / 100; // cents, rounded up so the margin is met
+}
+
+/**
+ * input: the setup fields held by PackagingBoxDesigner / stored in saved rows
+ *   (units, styleId, L, W, H, boardGrade, boardMM, divisorId, actualW, battery, country, pricingMode,
+ *    postcode, shipDate, rates, qty, priceUSD, productCostUSD, fee / customs / board price fields)
+ * tables: country → rate table registry (defaults to the built-in YUNEXPRESS_TABLES)
+ */
+export function computeQuote(input, { tables } = {}) {
+  const units = normalizeUnits(input.units);
+  const boardGrade = findBoardGrade(input.boardGrade) ? input.boardGrade : DEFAULT_BOARD_GRADE;
+  const gradeThickness = findBoardGrade(boardGrade).thicknessMM; // a grade fixes the thickness
+  const parsed = {
+    L: clampNumber(input.L, 0.01, 10000),
+    W: clampNumber(input.W, 0.01, 10000),
+    H: clampNumber(input.H, 0.01, 10000),
+    boardMM: gradeThickness ?? clampNumber(input.boardMM, 0, 25),
+    actualW: clampNumber(input.actualW, 0, 1000),
+    qty: Math.max(1, Math.floor(clampNumber(input.qty, 1, 1000000))),
+    unitWeight: clampNumber(input.unitWeight, 0, 1000),
+    unitsPerBox: Number(input.unitsPerBox) > 0 ? Math.floor(clampNumber(input.unitsPerBox, 1, 1000000)) : 0,
+  };
+  const divisorObj = safeGetDivisor(units, input.divisorId);
+  const divisorNumeric = safeDivisorNumber(divisorObj, units);
+
+  const rates = { ...DEFAULT_RATES, ...(input.rates || {}) };
+  const country = input.country || DEFAULT_COUNTRY;
+  const pricingMode = input.pricingMode === 'manual' ? 'manual' : 'sheet';
+  const battery = !!input.battery;
+
+  const rateTable = getRateTable(country, tables);
+  const sheetUnavailable = pricingMode === 'sheet' ? sheetUnavailableReason({ battery, country, tables }) : null;
+
+  const dimsCm = units === 'cm' ? [parsed.L, parsed.W, parsed.H] : [parsed.L, parsed.W, parsed.H].map((x) => x * 2.54);
+  const parcel = { postcode: input.postcode || '', shipDate: input.shipDate || '', dimsCm };
+
+  const computeFor = (kg) => (
+    pricingMode === 'sheet'
+      ? (computeSheetCNY({ weightKg: kg, battery, country, table: rateTable, parcel }) || NULL_RES)
+      : computeManualCNY({ weightKg: kg, rates })
+  );
+
+  // The style drives the blank (board area, packaging cost) and the inner dimensions
+  const styleId = STYLE_OPTIONS.some((st) => st.id === input.styleId) ? input.styleId : STYLE_OPTIONS[0].id;
+  const dieline = buildDieline({ styleId, L: parsed.L, W: parsed.W, H: parsed.H, units, boardMM: parsed.boardMM });
+
+  // One parcel of this box at a given scale weight (kg for cm, lb for in).
+  // Shipping (CNY + USD): compare volumetric vs actual vs chargeable = max
+  const priceParcel = (actualW) => {
+    const calc = computeBoxCalculations({
+      L: parsed.L, W: parsed.W, H: parsed.H, units,
+      boardMM: parsed.boardMM, divisor: divisorNumeric, actualWeight: actualW,
+      styleId, blankAreaMM2: dieline.areaMM2,
+    });
+    const volKg = toKg(units, calc.volWeight);
+    const actualKg = toKg(units, actualW);
+    const chargeableKg = toKg(units, calc.chargeable);
+    // Lane limits block the quote (sheet pricing only – manual rates have no lane)
+    const laneViolations = pricingMode === 'sheet' && rateTable && !sheetUnavailable
+      ? checkLaneLimits({ table: rateTable, battery, weightKg: chargeableKg, dimsCm })
+      : [];
+    const shippable = !sheetUnavailable && laneViolations.length === 0;
+    return {
+      calc, volKg, actualKg, chargeableKg, laneViolations, shippable,
+      resVol: computeFor(volKg),
+      resActual: actualKg > 0 ? computeFor(actualKg) : NULL_RES,
+      resCharge: shippable ? computeFor(chargeableKg) : NULL_RES,
+    };
+  };
+
+  // Multi-parcel: units-per-box > 0 splits qty into full boxes + a partially filled last box,
+  // each weighing units × per-unit weight. Otherwise the whole qty ships in one box at actualW.
+  const multiParcel = parsed.unitsPerBox > 0;
+  const parcelGroups = (multiParcel ? splitIntoParcels(parsed.qty, parsed.unitsPerBox) : [{ units: parsed.qty, count: 1 }])
+    .map((g) => {
+      const actualW = multiParcel ? g.units * parsed.unitWeight : parsed.actualW;
+      return { ...g, actualW, ...priceParcel(actualW) };
+    });
+  const main = parcelGroups[0]; // the (first) full parcel drives the single-parcel figures below
+  const { calc, volKg, actualKg, chargeableKg, resVol, resActual, resCharge } = main;
+  const hasActual = actualKg > 0;
+  const laneViolations = [...new Set(parcelGroups.flatMap((g) => g.laneViolations))];
+  const shippable = parcelGroups.every((g) => g.shippable);
+  const parcelCount = parcelGroups.reduce((n, g) => n + g.count, 0);
+
+  const shippingCNY = shippable ? parcelGroups.reduce((sum, g) => sum + g.count * g.resCharge.totalCNY, 0) : 0;
+  const shippingUSD = cnyToUsd(shippingCNY, rates.cnyPerUSD);
+  const shippingPerUnitUSD = parsed.qty > 0 ? shippingUSD / parsed.qty : 0;
+  const volShippingUSD = cnyToUsd(resVol.totalCNY, rates.cnyPerUSD);
+  const actualShippingUSD = cnyToUsd(resActual.totalCNY, rates.cnyPerUSD);
+
+  // Board per box (dieline blank on the grade's sheet), spread over the units
+  const packaging = computePackagingCost({
+    gradeId: boardGrade, pricePerM2USD: input.boardPricePerM2USD, dieline, boxOrderQty: input.boxOrderQty,
+  });
+  const packagingPerUnitUSD = packaging.materialPerBoxUSD * parcelCount / parsed.qty;
+
+  const priceUSD = Number(input.priceUSD) || 0;
+  const productCostUSD = Number(input.productCostUSD) || 0;
+  // Everything that depends on the selling price, so the solver can re-price
+  const feeProfile = findFeeProfile(input.feeProfile) ? input.feeProfile : DEFAULT_FEE_PROFILE;
+  const customFee = { pct: input.variableFeePct, fixedUSD: input.customFeeFixedUSD, minUSD: input.customFeeMinUSD };
+  const feesAt = (price) => {
+    const marketplace = computeMarketplaceFees({ profileId: feeProfile, categoryId: input.feeCategory, priceUSD: price, custom: customFee });
+    return {
+      feeLines: marketplace.lines,
+      variableFeeUSD: marketplace.totalUSD, // all marketplace fees per unit
+      refundFeeUSD: price * (Number(input.refundFeePct) || 0) / 100,
+    };
+  };
+  // Duties + VAT/GST per unit; a declared value of 0 declares the selling price
+  const landedParcels = parcelGroups.map((g) => ({
+    units: g.units, count: g.count, shippingUSD: shippable ? cnyToUsd(g.resCharge.totalCNY, rates.cnyPerUSD) : 0,
+  }));
+  const landedAt = (price) => {
+    const declaredValueUSD = Number(input.declaredValueUSD) > 0 ? Number(input.declaredValueUSD) : price;
+    const landed = computeLandedCost({ country, declaredValueUSD, dutyPct: input.dutyPct, parcels: landedParcels });
+    return {
+      customsRule: landed.rule,
+      declaredValueUSD,
+      landedLines: landed.lines.map((l) => ({ ...l, amountUSD: l.amountUSD / parsed.qty })),
+      dutiesPerUnitUSD: landed.dutyUSD / parsed.qty,
+      taxesPerUnitUSD: landed.taxUSD / parsed.qty,
+    };
+  };
+  const costAt = (price) => {
+    const f = feesAt(price);
+    const l = landedAt(price);
+    return productCostUSD + packagingPerUnitUSD + f.variableFeeUSD + f.refundFeeUSD + shippingPerUnitUSD
+      + l.dutiesPerUnitUSD + l.taxesPerUnitUSD;
+  };
+  const { feeLines, variableFeeUSD, refundFeeUSD } = feesAt(priceUSD);
+  const { customsRule, declaredValueUSD, landedLines, dutiesPerUnitUSD, taxesPerUnitUSD } = landedAt(priceUSD);
+  const costPerUnitUSD = costAt(priceUSD);
+  const totalCostUSD = costPerUnitUSD * parsed.qty;
+
+  // Profit (null while shipping is not quoted – a missing shipping cost would flatter it)
+  const targetMarginPct = Number(input.targetMarginPct) || 0;
+  const profit = shippable ? {
+    profitPerUnitUSD: priceUSD - costPerUnitUSD,
+    totalProfitUSD: (priceUSD - costPerUnitUSD) * parsed.qty,
+    marginPct: priceUSD > 0 ? (priceUSD - costPerUnitUSD) / priceUSD * 100 : null,
+    contributionPerUnitUSD: priceUSD - (costPerUnitUSD - productCostUSD), // after fees, shipping, duties + box, before product cost
+    breakEvenPriceUSD: solvePriceForMargin(costAt, 0),
+    targetPriceUSD: solvePriceForMargin(costAt, targetMarginPct),
+  } : {
+    profitPerUnitUSD: null, totalProfitUSD: null, marginPct: null, contributionPerUnitUSD: null,
+    breakEvenPriceUSD: null, targetPriceUSD: null,
+  };
+
+  const describeCtx = { pricingMode, country, battery, rates, sheetUnavailable, laneViolations };
+  const breakdownCharge = multiParcel && shippable
+    ? parcelGroups.map((g) => `${g.count}× parcel of ${g.units}: ${describeShipping(g.resCharge, describeCtx)}`).join(' | ')
+    : describeShipping(resCharge, describeCtx);
+  return {
+    units, styleId, parsed, divisorObj, divisorNumeric, calc, rates,
+    volKg, actualKg, chargeableKg, hasActual,
+    rateTable, sheetUnavailable, laneViolations, shippable, parcel,
+    multiParcel, parcelGroups, parcelCount,
+    resVol, resActual, resCharge,
+    shippingCNY, shippingUSD, shippingPerUnitUSD, volShippingUSD, actualShippingUSD,
+    feeProfile, feeLines, variableFeeUSD, refundFeeUSD,
+    customsRule, declaredValueUSD, hsCode: String(input.hsCode || ''), dutyPct: Number(input.dutyPct) || 0,
+    landedLines, dutiesPerUnitUSD, taxesPerUnitUSD,
+    boardGrade, dieline, packaging, packagingPerUnitUSD,
+    costPerUnitUSD, totalCostUSD,
+    targetMarginPct, ...profit,
+    breakdownCharge,
+    breakdownVol: describeShipping(resVol, describeCtx),
+    breakdownActual: hasActual ? describeShipping(resActual, describeCtx) : '',
+  };
+}
+
+// Which rate table version a sheet quote used (null for manual pricing / no table)
+export function rateVersionOf(q) {
+  const t = q.rateTable;
+  if (q.sheetUnavailable || !t || q.resCharge === NULL_RES || !q.resCharge.bracket) return null;
+  return { country: t.country, version: t.version || '', effectiveDate: t.effectiveDate || '' };
+}
+
+// The `derived` block stored on saved rows
+export function derivedFromQuote(q) {
+  return {
+    volWeight: q.calc.volWeight, chargeable: q.calc.chargeable, chargeableKg: q.chargeableKg,
+    inner: { ...q.calc.inner }, innerVolume: q.calc.innerVolume, surfaceArea: q.calc.surfaceArea,
+    shippingCNY: q.shippingCNY, shippingUSD: q.shippingUSD,
+    shippingPerUnitUSD: q.shippingPerUnitUSD, costPerUnitUSD: q.costPerUnitUSD, totalCostUSD: q.totalCostUSD,
+    feesPerUnitUSD: q.variableFeeUSD,
+    dutiesPerUnitUSD: q.dutiesPerUnitUSD, taxesPerUnitUSD: q.taxesPerUnitUSD,
+    packagingPerUnitUSD: q.packagingPerUnitUSD,
+    breakdown: q.breakdownCharge, // store chargeable basis breakdown for CSV/back-compat
+    shippable: q.shippable,
+    parcelCount: q.parcelCount,
+    profitPerUnitUSD: q.profitPerUnitUSD, totalProfitUSD: q.totalProfitUSD, marginPct: q.marginPct,
+    contributionPerUnitUSD: q.contributionPerUnitUSD, breakEvenPriceUSD: q.breakEvenPriceUSD,
+    targetMarginPct: q.targetMarginPct, targetPriceUSD: q.targetPriceUSD,
+  };
+}
+
+// -----------------------------
+// Bracket advisor – cheaper weights/dimensions around the price steps
+// -----------------------------
+export const ADVISOR_MAX_CUT = 0.25;      // don't suggest shrinking an axis by more than 25%
+
+export const ADVISOR_NEAR_BOUNDARY = 0.15; // only flag a step-up within 15% of the bracket top (unless it's outright cheaper)
+
+export const ADVISOR_MIN_STEP = 0.01;      // ignore fee/kg drops under 1%
+
+// Weights (kg) where the price function steps: sheet bracket tops, or whole kg for Manual per-kg.
+function pricingBoundariesKg(q, input) {
+  if (q.sheetUnavailable) return [];
+  if (input.pricingMode === 'manual') {
+    const out = [];
+    for (let k = 1; k < q.chargeableKg; k++) out.push(k);
+    return out;
+  }
+  const brackets = (q.rateTable && q.rateTable.lines && q.rateTable.lines[lineNameFor(input.battery)]) || [];
+  return brackets.map((b) => b.hi);
+}
+
+/**
+ * shrink: single-axis cuts that bring volumetric weight down to one of the two nearest lower
+ *   boundaries (only while volumetric drives the price) – [{ axis, from, to, delta, targetKg, bracket, priceCNY, saveCNY }]
+ * stepUp: set when the fee/kg drops across the top of the current sheet bracket –
+ *   { boundaryKg, aboveKg, priceAtBoundary, priceAbove, perKgAtBoundary, perKgAbove, cheaperThanNow, parcelNow } (per parcel)
+ */
+export function adviseBracketSavings(input, { tables } = {}) {
+  const q = computeQuote(input, { tables });
+  const out = { shrink: [], stepUp: null };
+  const bounds = q.shippable ? pricingBoundariesKg(q, input) : [];
+  if (!bounds.length) return out;
+  const now = q.shippingCNY;
+
+  if (q.volKg > q.actualKg) {
+    const targets = bounds.filter((b) => b < q.chargeableKg - 1e-9 && b >= q.actualKg).sort((a, b) => b - a).slice(0, 2);
+    for (const kg of targets) {
+      for (const axis of ['L', 'W', 'H']) {
+        const from = q.parsed[axis];
+        const to = Math.floor(from * (kg / q.volKg) * 10) / 10; // volumetric weight scales with each axis
+        if (to <= 0 || to >= from || (from - to) / from > ADVISOR_MAX_CUT) continue;
+        const nq = computeQuote({ ...input, [axis]: to }, { tables });
+        const save = now - nq.shippingCNY;
+        if (nq.shippable && save > 0.005) out.shrink.push({ axis, from, to, delta: from - to, targetKg: nq.chargeableKg, bracket: nq.resCharge.bracket, priceCNY: nq.shippingCNY, saveCNY: save });
+      }
+    }
+    out.shrink.sort((a, b) => b.saveCNY / b.delta - a.saveCNY / a.delta);
+  }
+
+  if (input.pricingMode !== 'manual' && q.resCharge.bracket) {
+    const parcelNow = q.resCharge.totalCNY; // step-up is about one parcel
+    const t = q.rateTable;
+    const billed = q.resCharge.usedKg;
+    const boundaryKg = q.resCharge.bracket.hi;
+    const aboveKg = boundaryKg + (t.roundStepKg || 0.001);
+    const at = computeSheetCNY({ weightKg: boundaryKg, battery: !!input.battery, country: t.country, table: t, parcel: q.parcel });
+    const above = computeSheetCNY({ weightKg: aboveKg, battery: !!input.battery, country: t.country, table: t, parcel: q.parcel });
+    const lastBracket = bounds[bounds.length - 1];
+    if (at && above && boundaryKg < lastBracket && billed <= boundaryKg + 1e-9) {
+      const perKgAtBoundary = at.totalCNY / at.usedKg;
+      const perKgAbove = above.totalCNY / above.usedKg;
+      const cheaperThanNow = above.totalCNY < parcelNow - 0.005;
+      const near = boundaryKg - billed <= boundaryKg * ADVISOR_NEAR_BOUNDARY;
+      if (perKgAbove < perKgAtBoundary * (1 - ADVISOR_MIN_STEP) && (near || cheaperThanNow)) {
+        out.stepUp = {
+          boundaryKg, aboveKg: above.usedKg, priceAtBoundary: at.totalCNY, priceAbove: above.totalCNY,
+          perKgAtBoundary, perKgAbove, cheaperThanNow, parcelNow,
+        };
+      }
+    }
+  }
+  return out;
+}
+
+// -----------------------------
+// Comparison – several setups side by side, best value per metric and deltas vs a baseline
+// -----------------------------
+const CM3_PER_IN3 = 16.387064;
+const bracketText = (res) => (res.bracket ? `${res.bracket.lo}–${res.bracket.hi} kg · ${res.bracket.feePerKg}/kg + ${res.bracket.itemFee}` : '—');
+
+// value(q) → number | string | null (null = n/a); best: 'min' | 'max' (which end wins) | null (descriptive only)
+export const COMPARE_METRICS = [
+  { id: 'outer', label: 'Outer L×W×H', best: null, value: (q) => `${q.calc.outer.L}×${q.calc.outer.W}×${q.calc.outer.H} ${q.units}` },
+  { id: 'innerVolume', label: 'Inner volume (cm³)', best: 'max', digits: 0, value: (q) => q.calc.innerVolume * (q.units === 'in' ? CM3_PER_IN3 : 1) },
+  { id: 'volKg', label: 'Volumetric kg', best: 'min', digits: 3, value: (q) => q.volKg },
+  { id: 'actualKg', label: 'Actual kg', best: 'min', digits: 3, value: (q) => (q.hasActual ? q.actualKg : null) },
+  { id: 'chargeableKg', label: 'Chargeable kg', best: 'min', digits: 3, value: (q) => q.chargeableKg },
+  { id: 'bracket', label: 'Bracket', best: null, value: (q) => (q.shippable ? bracketText(q.resCharge) : null) },
+  { id: 'shippingCNY', label: 'Shipping (CNY)', best: 'min', digits: 2, value: (q) => (q.shippable ? q.shippingCNY : null) },
+  { id: 'shippingUSD', label: 'Shipping (USD)', best: 'min', digits: 2, value: (q) => (q.shippable ? q.shippingUSD : null) },
+  { id: 'costPerUnitUSD', label: 'Cost / unit (USD)', best: 'min', digits: 2, value: (q) => (q.shippable ? q.costPerUnitUSD : null) },
+  { id: 'totalCostUSD', label: 'Total cost (USD)', best: 'min', digits: 2, value: (q) => (q.shippable ? q.totalCostUSD : null) },
+];
+
+/**
+ * rows: saved setups → { columns: [{ id, name, quote }], metrics: [{ ...metric, cells: [{ value, best, delta }] }] }.
+ * Each row is re-quoted with `tables` so every column uses the same rates; delta = value − baseline value.
+ */
+export function compareSetups(rows, { tables, baselineId } = {}) {
+  const columns = rows.map((r) => ({ id: r.id, name: r.name, quote: computeQuote(r, { tables }) }));
+  const baseIndex = Math.max(0, columns.findIndex((c) => c.id === baselineId));
+  const metrics = COMPARE_METRICS.map((m) => {
+    const values = columns.map((c) => m.value(c.quote));
+    const numeric = values.filter((v) => typeof v === 'number' && Number.isFinite(v));
+    const pick = { min: Math.min, max: Math.max }[m.best];
+    const bestValue = pick && numeric.length > 1 ? pick(...numeric) : null;
+    const base = values[baseIndex];
+    return {
+      ...m,
+      cells: values.map((v, i) => ({
+        value: v,
+        best: bestValue !== null && v === bestValue,
+        delta: i !== baseIndex && typeof v === 'number' && typeof base === 'number' ? v - base : null,
+      })),
+    };
+  });
+  return { columns, baseIndex, metrics };
+}
+
+// -----------------------------
+// Headless quotes – request validation + JSON shape (POST /api/quote)
+// -----------------------------
+// Same fields as the Box Setup form. Numbers may arrive as numeric strings (form posts, CSV).
+export const QUOTE_INPUT_DEFAULTS = {
+  units: 'cm', boardMM: 2, actualW: 0, battery: false, country: DEFAULT_COUNTRY, pricingMode: 'sheet',
+  postcode: '', shipDate: '', qty: 1, unitWeight: 0, unitsPerBox: 0,
+  priceUSD: 0, productCostUSD: 0, variableFeePct: 0, refundFeePct: 0, targetMarginPct: 30,
+  feeProfile: DEFAULT_FEE_PROFILE, feeCategory: '', customFeeFixedUSD: 0, customFeeMinUSD: 0,
+  declaredValueUSD: 0, hsCode: '', dutyPct: 0,
+  styleId: STYLE_OPTIONS[0].id, boardGrade: DEFAULT_BOARD_GRADE, boardPricePerM2USD: 0, boxOrderQty: 1000,
+};
+
+const QUOTE_NUMBER_FIELDS = [
+  // field, min, max, required, integer
+  ['L', 0.01, 10000, true], ['W', 0.01, 10000, true], ['H', 0.01, 10000, true],
+  ['boardMM', 0, 25], ['actualW', 0, 1000],
+  ['qty', 1, 1000000, false, true], ['unitWeight', 0, 1000], ['unitsPerBox', 0, 1000000, false, true],
+  ['priceUSD', 0, Infinity], ['productCostUSD', 0, Infinity], ['variableFeePct', 0, 100], ['refundFeePct', 0, 100],
+  ['targetMarginPct', 0, 99], ['customFeeFixedUSD', 0, Infinity], ['customFeeMinUSD', 0, Infinity],
+  ['declaredValueUSD', 0, Infinity], ['dutyPct', 0, 1000],
+  ['boardPricePerM2USD', 0, Infinity], ['boxOrderQty', 0, 10000000, false, true],
+];
+
+function isBlank(v) { return v === undefined || v === null || v === ''; }
+
+function numberError(v, min, max, integer) {
+  const x = typeof v === 'boolean' ? NaN : Number(v);
+  if (!Number.isFinite(x)) return 'must be a number';
+  if (x < min || x > max) return max === Infinity ? `must be ≥ ${min}` : `must be between ${min} and ${max}`;
+  if (integer && !Number.isInteger(x)) return 'must be a whole number';
+  return null;
+}
+
+/**
+ * Validate a raw quote request. Returns [{ field, message }] – empty when the input is usable.
+ * Out-of-range values are rejected here rather than clamped the way the form clamps them.
+ */
+export function validateQuoteInput(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return [{ field: '', message: 'Body must be a JSON object' }];
+  const errors = [];
+  const add = (field, message) => errors.push({ field, message });
+
+  if (!isBlank(body.units) && body.units !== 'cm' && body.units !== 'in') add('units', "must be 'cm' or 'in'");
+  for (const [field, min, max, required, integer] of QUOTE_NUMBER_FIELDS) {
+    if (isBlank(body[field])) { if (required) add(field, 'is required'); continue; }
+    const msg = numberError(body[field], min, max, integer);
+    if (msg) add(field, msg);
+  }
+  if (!isBlank(body.divisorId)) {
+    const units = normalizeUnits(body.units);
+    const d = findDivisorById(body.divisorId);
+    if (!d) add('divisorId', `unknown divisor '${body.divisorId}'`);
+    else if (safeGetDivisor(units, body.divisorId).id !== d.id) add('divisorId', `'${body.divisorId}' is not a divisor for ${units}`);
+  }
+  if (!isBlank(body.styleId) && !STYLE_OPTIONS.some((st) => st.id === body.styleId)) {
+    add('styleId', `unknown box style '${body.styleId}'`);
+  }
+  if (!isBlank(body.boardGrade) && !findBoardGrade(body.boardGrade)) {
+    add('boardGrade', `unknown board grade '${body.boardGrade}' (${BOARD_GRADES.map((g) => g.id).join(', ')})`);
+  } else if (!isBlank(body.boardGrade) && !isBlank(body.boardMM)) {
+    // A grade fixes the thickness – a different boardMM alongside it would be silently dropped
+    const { label, thicknessMM } = findBoardGrade(body.boardGrade);
+    if (thicknessMM !== null && Number(body.boardMM) !== thicknessMM) add('boardMM', `conflicts with the ${label} thickness (${thicknessMM} mm)`);
+  }
+  if (!isBlank(body.battery) && typeof body.battery !== 'boolean') add('battery', 'must be true or false');
+  if (!isBlank(body.country) && typeof body.country !== 'string') add('country', 'must be a string');
+  if (!isBlank(body.pricingMode) && body.pricingMode !== 'sheet' && body.pricingMode !== 'manual') {
+    add('pricingMode', "must be 'sheet' or 'manual'");
+  }
+  if (!isBlank(body.postcode) && typeof body.postcode !== 'string') add('postcode', 'must be a string');
+  if (!isBlank(body.feeProfile)) {
+    const profile = findFeeProfile(body.feeProfile);
+    if (!profile) add('feeProfile', `unknown fee profile '${body.feeProfile}' (${FEE_PROFILES.map((f) => f.id).join(', ')})`);
+    else if (!isBlank(body.feeCategory) && !(profile.categories || []).some((c) => c.id === body.feeCategory)) {
+      add('feeCategory', `'${body.feeCategory}' is not a ${profile.label} category`);
+    }
+  }
+  if (!isBlank(body.hsCode) && !/^\d{4,10}$/.test(String(body.hsCode).replace(/[.\s]/g, ''))) {
+    add('hsCode', 'must be 4–10 digits (dots and spaces allowed)');
+  }
+  if (!isBlank(body.shipDate) && !/^\d{4}-\d{2}-\d{2}$/.test(String(body.shipDate))) add('shipDate', 'must be YYYY-MM-DD');
+  if (!isBlank(body.rates)) {
+    if (typeof body.rates !== 'object' || Array.isArray(body.rates)) add('rates', 'must be an object');
+    else {
+      for (const key of Object.keys(body.rates)) {
+        if (!(key in DEFAULT_RATES)) { add(`rates.${key}`, 'is not a known rate'); continue; }
+        const msg = numberError(body.rates[key], key === 'cnyPerUSD' ? 0.0001 : 0, Infinity);
+        if (msg) add(`rates.${key}`, msg);
+      }
+    }
+  }
+  return errors;
+}
+
+/** Fill defaults for omitted fields (the form's initial state) → computeQuote input. */
+export function quoteInputFrom(body) {
+  const input = { ...QUOTE_INPUT_DEFAULTS };
+  for (const [k, v] of Object.entries(body || {})) if (!isBlank(v)) input[k] = v;
+  if (isBlank(input.divisorId)) input.divisorId = safeGetDivisor(input.units).id;
+  return input;
+}
+
+const roundTo = (x, dp) => Math.round((Number(x) || 0) * 10 ** dp) / 10 ** dp;
+
+function shippingJSON(res, cnyPerUSD) {
+  return {
+    totalCNY: roundTo(res.totalCNY, 2),
+    totalUSD: roundTo(cnyToUsd(res.totalCNY, cnyPerUSD), 2),
+    baseCNY: roundTo(res.baseCNY, 2),
+    usedKg: roundTo(res.usedKg, 3),
+    bracket: res.bracket ? { ...res.bracket } : null,
+    surcharges: res.surcharges.map((s) => ({ type: s.type, label: s.label, detail: s.detail, amountCNY: roundTo(s.amountCNY, 2) })),
+  };
+}
+
+/** The Calculated card of one quote as plain JSON (money rounded to cents, weights to grams). */
+export function quoteToJSON(q) {
+  const fx = q.rates.cnyPerUSD;
+  return {
+    units: q.units,
+    input: q.parsed,
+    divisor: { id: q.divisorObj.id, label: q.divisorObj.label, value: q.divisorNumeric },
+    box: {
+      styleId: q.styleId, boardLayers: q.calc.layers,
+      outer: q.calc.outer, inner: q.calc.inner,
+      volume: q.calc.volume, innerVolume: q.calc.innerVolume, surfaceArea: q.calc.surfaceArea,
+    },
+    weights: {
+      volumetric: q.calc.volWeight, chargeable: q.calc.chargeable, unit: q.units === 'in' ? 'lb' : 'kg',
+      volumetricKg: roundTo(q.volKg, 3), actualKg: roundTo(q.actualKg, 3), chargeableKg: roundTo(q.chargeableKg, 3),
+    },
+    rateVersion: rateVersionOf(q),
+    sheetUnavailable: q.sheetUnavailable,
+    laneViolations: q.laneViolations,
+    shippable: q.shippable,
+    shipping: {
+      volumetric: { ...shippingJSON(q.resVol, fx), breakdown: q.breakdownVol },
+      actual: q.hasActual ? { ...shippingJSON(q.resActual, fx), breakdown: q.breakdownActual } : null,
+      chargeable: { ...shippingJSON(q.resCharge, fx), breakdown: q.breakdownCharge },
+    },
+    parcels: q.parcelGroups.map((g) => ({
+      units: g.units, count: g.count, actualWeight: g.actualW, chargeableKg: roundTo(g.chargeableKg, 3),
+      shippable: g.shippable, totalCNY: roundTo(g.resCharge.totalCNY, 2),
+    })),
+    parcelCount: q.parcelCount,
+    costs: {
+      shippingCNY: roundTo(q.shippingCNY, 2),
+      shippingUSD: roundTo(q.shippingUSD, 2),
+      shippingPerUnitUSD: roundTo(q.shippingPerUnitUSD, 4),
+      feeProfile: q.feeProfile,
+      fees: q.feeLines.map((l) => ({ label: l.label, detail: l.detail, amountUSD: roundTo(l.amountUSD, 4) })),
+      variableFeeUSD: roundTo(q.variableFeeUSD, 4),
+      refundFeeUSD: roundTo(q.refundFeeUSD, 4),
+      customs: {
+        rule: q.customsRule ? q.customsRule.note : null, // null = no customs rules for this destination
+        hsCode: q.hsCode, dutyPct: q.dutyPct, declaredValueUSD: roundTo(q.declaredValueUSD, 2),
+        lines: q.landedLines.map((l) => ({ label: l.label, detail: l.detail, amountUSD: roundTo(l.amountUSD, 4) })),
+        dutiesPerUnitUSD: roundTo(q.dutiesPerUnitUSD, 4),
+        taxesPerUnitUSD: roundTo(q.taxesPerUnitUSD, 4),
+      },
+      packaging: {
+        boardGrade: q.boardGrade, boardMM: q.parsed.boardMM, styleId: q.styleId,
+        blankMM: [q.dieline.widthMM, q.dieline.heightMM], blankAreaM2: roundTo(q.packaging.blankAreaM2, 4),
+        sheetMM: q.packaging.sheetMM, perSheet: q.packaging.perSheet,
+        pricePerM2USD: roundTo(q.packaging.pricePerM2USD, 4), priceBreakMinQty: q.packaging.priceBreak.minQty,
+        belowMOQ: q.packaging.belowMOQ, oversize: q.packaging.oversize,
+        materialPerBoxUSD: roundTo(q.packaging.materialPerBoxUSD, 4),
+        boxWeightKg: q.packaging.boxWeightKg === null ? null : roundTo(q.packaging.boxWeightKg, 3),
+        packagingPerUnitUSD: roundTo(q.packagingPerUnitUSD, 4),
+      },
+      costPerUnitUSD: roundTo(q.costPerUnitUSD, 4),
+      totalCostUSD: roundTo(q.totalCostUSD, 2),
+    },
+    profit: q.shippable ? {
+      profitPerUnitUSD: roundTo(q.profitPerUnitUSD, 4),
+      totalProfitUSD: roundTo(q.totalProfitUSD, 2),
+      marginPct: q.marginPct === null ? null : roundTo(q.marginPct, 2),
+      contributionPerUnitUSD: roundTo(q.contributionPerUnitUSD, 4),
+      breakEvenPriceUSD: q.breakEvenPriceUSD,
+      targetMarginPct: q.targetMarginPct,
+      targetPriceUSD: q.targetPriceUSD,
+    } : null,
+  };
+}
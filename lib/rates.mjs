@@ -0,0 +1,352 @@
+/**
+ * YunExpress rate tables (CNY, kg), lane limits, surcharges, sheet/manual pricing
+ * and effective-dated table versions. Pure functions, no React.
+ */
+import { girthOf } from './geometry.mjs';
+
+// -----------------------------
+// YunExpress sheets (inline) – one table per destination country
+// Units: CNY, weights in kg
+// -----------------------------
+export const LINE_NO_BATTERY = 'No Battery';
+
+export const LINE_BATTERY = 'Built-in Battery';
+
+// Parcel limits per lane (null = not checked). Weight is billed (chargeable) kg; sides in cm;
+// girth = longest side + 2 × (other two); sum = L + W + H.
+// No size limits are built in: the sheet data here has no restrictions tab, so only the weight
+// cap of the last bracket is enforced (laneLimitsOf) until limits are entered for a table
+// version (Lane limits, stored like its surcharges; imported versions keep them).
+export const STANDARD_LANE_LIMITS = { maxWeightKg: null, maxSideCm: null, maxGirthCm: null, maxSumCm: null };
+
+// Editable limit fields (Lane limits editor)
+export const LANE_LIMIT_FIELDS = [
+  { id: 'maxWeightKg', label: 'Max billed weight', unit: 'kg' },
+  { id: 'maxSideCm', label: 'Longest side', unit: 'cm' },
+  { id: 'maxGirthCm', label: 'Girth', unit: 'cm' },
+  { id: 'maxSumCm', label: 'L+W+H', unit: 'cm' },
+];
+
+// US – derived from your XLSX
+export const YUNEXPRESS_US_TABLE = {
+  country: 'United States',
+  version: 'builtin-1',
+  effectiveDate: '', // undated: the baseline every imported version supersedes
+  minWeightKg: 0.03,
+  roundStepKg: 0.001,
+  limits: STANDARD_LANE_LIMITS,
+  lines: {
+    'No Battery': [
+      { lo: 0.00, hi: 0.10, feePerKg: 102, itemFee: 24 },
+      { lo: 0.10, hi: 0.20, feePerKg: 96,  itemFee: 22 },
+      { lo: 0.20, hi: 0.30, feePerKg: 94,  itemFee: 20 },
+      { lo: 0.30, hi: 0.45, feePerKg: 93,  itemFee: 20 },
+      { lo: 0.45, hi: 0.70, feePerKg: 92,  itemFee: 20 },
+      { lo: 0.70, hi: 2.00, feePerKg: 91,  itemFee: 13 },
+      { lo: 2.00, hi: 30.00, feePerKg: 85, itemFee: 13 },
+    ],
+    'Built-in Battery': [
+      { lo: 0.00, hi: 0.10, feePerKg: 108, itemFee: 24 },
+      { lo: 0.10, hi: 0.20, feePerKg: 101, itemFee: 22 },
+      { lo: 0.20, hi: 0.30, feePerKg: 102, itemFee: 20 },
+      { lo: 0.30, hi: 0.45, feePerKg: 101, itemFee: 20 },
+      { lo: 0.45, hi: 0.70, feePerKg: 98,  itemFee: 20 },
+      { lo: 0.70, hi: 2.00, feePerKg: 97,  itemFee: 13 },
+      { lo: 2.00, hi: 30.00, feePerKg: 97, itemFee: 13 },
+    ],
+  },
+};
+
+// UK / EU / CA / AU – lanes without built-in rates: there is no verified sheet for them in the
+// repo, so they quote as "no sheet" until the current YunExpress sheet is imported (or use
+// Manual per-kg). The import keeps the min. billed weight and rounding step below.
+function unpricedLane(country) {
+  return {
+    country,
+    version: 'builtin-1',
+    effectiveDate: '',
+    minWeightKg: YUNEXPRESS_US_TABLE.minWeightKg,
+    roundStepKg: YUNEXPRESS_US_TABLE.roundStepKg,
+    limits: STANDARD_LANE_LIMITS,
+    lines: {},
+  };
+}
+
+export const YUNEXPRESS_GB_TABLE = unpricedLane('United Kingdom');
+export const YUNEXPRESS_DE_TABLE = unpricedLane('Germany');
+export const YUNEXPRESS_FR_TABLE = unpricedLane('France');
+export const YUNEXPRESS_CA_TABLE = unpricedLane('Canada');
+export const YUNEXPRESS_AU_TABLE = unpricedLane('Australia');
+
+// Registry keyed by country name – drives the Country selector and sheet pricing.
+export const YUNEXPRESS_TABLES = {
+  [YUNEXPRESS_US_TABLE.country]: YUNEXPRESS_US_TABLE,
+  [YUNEXPRESS_GB_TABLE.country]: YUNEXPRESS_GB_TABLE,
+  [YUNEXPRESS_DE_TABLE.country]: YUNEXPRESS_DE_TABLE,
+  [YUNEXPRESS_FR_TABLE.country]: YUNEXPRESS_FR_TABLE,
+  [YUNEXPRESS_CA_TABLE.country]: YUNEXPRESS_CA_TABLE,
+  [YUNEXPRESS_AU_TABLE.country]: YUNEXPRESS_AU_TABLE,
+};
+
+export const DEFAULT_COUNTRY = YUNEXPRESS_US_TABLE.country;
+
+// Default editable fallback (Manual per-kg)
+export const DEFAULT_RATES = {
+  perKgCNY: 50,              // price per started kg (ceil weight)
+  minChargeCNY: 0,
+  cnyPerUSD: 7.20,
+};
+
+// -----------------------------
+// Table lookup & lane limits
+// -----------------------------
+export function lineNameFor(battery) {
+  return battery ? LINE_BATTERY : LINE_NO_BATTERY;
+}
+
+export function getRateTable(country, tables) {
+  const reg = tables || YUNEXPRESS_TABLES;
+  return Object.prototype.hasOwnProperty.call(reg, country) ? reg[country] : null;
+}
+
+// True when a table has at least one priced line (built-in lanes without a sheet have none).
+export function tableHasRates(table) {
+  return !!table && Object.values(table.lines || {}).some((brackets) => Array.isArray(brackets) && brackets.length > 0);
+}
+
+// Why a sheet quote can't be produced (null when the lane + line is priced).
+export function sheetUnavailableReason({ battery, country, tables }) {
+  const t = getRateTable(country, tables);
+  if (!t) return `No YunExpress rate table for ${country || 'this country'}.`;
+  if (!tableHasRates(t)) return `No YunExpress rates for ${t.country} yet – import the current price sheet for this lane, or use Manual per-kg.`;
+  const line = lineNameFor(battery);
+  const brackets = t.lines && t.lines[line];
+  if (!Array.isArray(brackets) || brackets.length === 0) return `YunExpress does not offer the ${line} line to ${t.country}.`;
+  return null;
+}
+
+// Limits for a table (blank or 0 = not checked); maxWeightKg defaults to the top of the line's last bracket.
+export function laneLimitsOf(table, battery) {
+  const brackets = (table && table.lines && table.lines[lineNameFor(battery)]) || [];
+  const top = brackets.length ? brackets[brackets.length - 1].hi : null;
+  const l = (table && table.limits) || {};
+  const set = (v) => (Number(v) > 0 ? Number(v) : null);
+  return {
+    maxWeightKg: set(l.maxWeightKg) ?? top,
+    maxSideCm: set(l.maxSideCm),
+    maxGirthCm: set(l.maxGirthCm),
+    maxSumCm: set(l.maxSumCm),
+  };
+}
+
+// Everything that makes a parcel unshippable on this lane, as readable messages ([] = ok).
+export function checkLaneLimits({ table, battery, weightKg, dimsCm }) {
+  const lim = laneLimitsOf(table, battery);
+  const dims = (dimsCm || []).map((x) => Number(x) || 0);
+  const longest = Math.max(0, ...dims);
+  const sum = dims.reduce((a, b) => a + b, 0);
+  const girth = girthOf(dims);
+  const out = [];
+  const w = Number(weightKg) || 0;
+  if (lim.maxWeightKg != null && w > lim.maxWeightKg + 1e-9) out.push(`billed weight ${w.toFixed(2)} kg is over the ${lim.maxWeightKg} kg limit`);
+  if (lim.maxSideCm != null && longest > lim.maxSideCm) out.push(`longest side ${longest.toFixed(1)} cm is over ${lim.maxSideCm} cm`);
+  if (lim.maxGirthCm != null && girth > lim.maxGirthCm) out.push(`girth ${girth.toFixed(1)} cm is over ${lim.maxGirthCm} cm`);
+  if (lim.maxSumCm != null && sum > lim.maxSumCm) out.push(`L+W+H ${sum.toFixed(1)} cm is over ${lim.maxSumCm} cm`);
+  return out;
+}
+
+// -----------------------------
+// Surcharges – rules attached to a rate table (table.surcharges), applied after the base fee
+// -----------------------------
+export const SURCHARGE_TYPES = [
+  { id: 'fuel', label: 'Fuel', unit: '% of base fee' },
+  { id: 'peak', label: 'Peak season', unit: 'CNY per billed kg' },
+  { id: 'remote', label: 'Remote area', unit: 'CNY per parcel' },
+  { id: 'oversize', label: 'Oversize', unit: 'CNY per parcel' },
+  { id: 'overweight', label: 'Overweight', unit: 'CNY per parcel' },
+];
+
+export function newSurchargeRule(type) {
+  const t = SURCHARGE_TYPES.find((x) => x.id === type) || SURCHARGE_TYPES[0];
+  const base = { id: `${t.id}_${Math.random().toString(36).slice(2, 8)}`, type: t.id, label: t.label, value: 0, enabled: true };
+  if (t.id === 'peak') return { ...base, from: '', to: '' };
+  if (t.id === 'remote') return { ...base, postcodes: '' };
+  if (t.id === 'oversize') return { ...base, maxSideCm: 0, maxGirthCm: 0 };
+  if (t.id === 'overweight') return { ...base, overKg: 0 };
+  return base;
+}
+
+// Patterns: "99501-99950" (numeric range), "967*" (prefix), "96799" (exact); comma/space separated.
+export function postcodeMatches(postcode, patterns) {
+  const pc = String(postcode || '').trim().toUpperCase().replace(/\s+/g, '');
+  if (!pc) return false;
+  return String(patterns || '').split(/[,;\s]+/).filter(Boolean).some((raw) => {
+    const p = raw.toUpperCase();
+    const range = p.match(/^(\d+)-(\d+)$/);
+    if (range) { const n = Number(pc.replace(/\D.*$/, '')); return /^\d/.test(pc) && n >= Number(range[1]) && n <= Number(range[2]); }
+    if (p.endsWith('*')) return pc.startsWith(p.slice(0, -1));
+    return pc === p;
+  });
+}
+
+function inDateWindow(date, from, to) {
+  const d = String(date || '').slice(0, 10);
+  if (!d) return !from && !to;
+  return (!from || d >= from) && (!to || d <= to);
+}
+
+/**
+ * Evaluate surcharge rules for one parcel.
+ * ctx: { baseCNY, usedKg, parcel: { postcode, shipDate, dimsCm: [L, W, H] } }
+ * Returns the rules that apply as [{ id, type, label, detail, amountCNY }].
+ */
+export function applySurcharges(rules, { baseCNY, usedKg, parcel }) {
+  const p = parcel || {};
+  const out = [];
+  for (const r of rules || []) {
+    if (!r || r.enabled === false) continue;
+    const value = Math.max(0, Number(r.value) || 0);
+    let amount = 0; let detail = '';
+    if (r.type === 'fuel') {
+      amount = baseCNY * value / 100; detail = `${value}%`;
+    } else if (r.type === 'peak') {
+      if (!inDateWindow(p.shipDate, r.from, r.to)) continue;
+      amount = value * usedKg; detail = `${value}×${usedKg.toFixed(3)}`;
+    } else if (r.type === 'remote') {
+      if (!postcodeMatches(p.postcode, r.postcodes)) continue;
+      amount = value; detail = String(p.postcode).trim();
+    } else if (r.type === 'oversize') {
+      const longest = Math.max(...(p.dimsCm || [0]).map((x) => Number(x) || 0));
+      const girth = girthOf(p.dimsCm);
+      const overSide = Number(r.maxSideCm) > 0 && longest > Number(r.maxSideCm);
+      const overGirth = Number(r.maxGirthCm) > 0 && girth > Number(r.maxGirthCm);
+      if (!overSide && !overGirth) continue;
+      amount = value; detail = overSide ? `side ${longest.toFixed(1)} cm > ${r.maxSideCm}` : `girth ${girth.toFixed(1)} cm > ${r.maxGirthCm}`;
+    } else if (r.type === 'overweight') {
+      if (!(Number(r.overKg) > 0 && usedKg > Number(r.overKg))) continue;
+      amount = value; detail = `> ${r.overKg} kg`;
+    } else {
+      continue;
+    }
+    out.push({ id: r.id, type: r.type, label: r.label || r.type, detail, amountCNY: amount });
+  }
+  return out;
+}
+
+// -----------------------------
+// Shipping – Sheet (CNY) vs Manual per-kg
+// -----------------------------
+export function roundUp(value, step) {
+  const s = Math.max(1e-6, step || 0.001);
+  // Trim float noise so 0.7 stays 0.7 (not 0.7000000000000001, which lands in the next bracket)
+  return Math.round(Math.ceil(value / s - 1e-9) * s * 1e6) / 1e6;
+}
+
+export function computeSheetCNY({ weightKg, battery, country, table, parcel }) {
+  const t = table || getRateTable(country);
+  if (!t || country !== t.country) return null; // unsupported
+  const line = lineNameFor(battery);
+  const brackets = (t.lines && t.lines[line]) || [];
+  const w = Math.max(t.minWeightKg, roundUp(Math.max(0, Number(weightKg) || 0), t.roundStepKg));
+  const br = brackets.find(b => w > b.lo && w <= b.hi);
+  if (!br) return null; // above the last bracket – see checkLaneLimits
+  const fee = br.feePerKg * w + br.itemFee;
+  const surcharges = applySurcharges(t.surcharges, { baseCNY: fee, usedKg: w, parcel });
+  const extra = surcharges.reduce((sum, x) => sum + x.amountCNY, 0);
+  return { totalCNY: fee + extra, baseCNY: fee, surcharges, usedKg: w, bracket: br };
+}
+
+export function computeManualCNY({ weightKg, rates }) {
+  const w = Math.max(0, Number(weightKg) || 0);
+  const perKg = Math.max(0, Number(rates.perKgCNY) || 0);
+  const minCharge = Math.max(0, Number(rates.minChargeCNY) || 0);
+  const startedKg = Math.ceil(w <= 0 ? 0 : w);
+  const total = Math.max(perKg * startedKg, minCharge);
+  return { totalCNY: total, baseCNY: total, surcharges: [], usedKg: startedKg, bracket: null };
+}
+
+/**
+ * Total CNY across 0–maxKg for the cost-vs-weight chart → [{ kg, totalCNY }] (totalCNY null
+ * where the lane has no price). Samples every stepKg plus both sides of each bracket edge
+ * (sheet) or started kg (manual), so the steps stay sharp.
+ */
+export function shippingCostCurve({ pricingMode, battery, country, table, parcel, rates, maxKg = 30, stepKg = 0.05 }) {
+  const edge = 0.001;
+  const breaks = [];
+  if (pricingMode === 'manual') {
+    for (let k = 1; k < maxKg; k++) breaks.push(k, k + edge);
+  } else if (table) {
+    for (const b of (table.lines && table.lines[lineNameFor(battery)]) || []) breaks.push(b.lo + edge, b.hi, b.hi + edge);
+    for (const r of table.surcharges || []) if (Number(r.overKg) > 0) breaks.push(Number(r.overKg), Number(r.overKg) + edge);
+  }
+  const kgs = new Set();
+  for (let i = 1; i * stepKg <= maxKg + 1e-9; i++) kgs.add(Math.round(i * stepKg * 1000) / 1000);
+  for (const b of breaks) if (b > 0 && b <= maxKg) kgs.add(Math.round(b * 1000) / 1000);
+  return [...kgs].sort((a, b) => a - b).map((kg) => {
+    const res = pricingMode === 'manual'
+      ? computeManualCNY({ weightKg: kg, rates })
+      : computeSheetCNY({ weightKg: kg, battery, country, table, parcel });
+    return { kg, totalCNY: res ? res.totalCNY : null };
+  });
+}
+
+export function cnyToUsd(cny, cnyPerUSD) {
+  const fx = Math.max(0.0001, Number(cnyPerUSD) || DEFAULT_RATES.cnyPerUSD);
+  return cny / fx;
+}
+
+export function usdToCny(usd, cnyPerUSD) {
+  const fx = Math.max(0.0001, Number(cnyPerUSD) || DEFAULT_RATES.cnyPerUSD);
+  return usd * fx;
+}
+
+// -----------------------------
+// Rate table versions – every country keeps a list; the one in force on a date is used
+// -----------------------------
+export function todayISO() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Built-in table + stored versions for one country, oldest effective date first.
+// A stored version with the built-in's version id (e.g. surcharges added) replaces it, but
+// keeps the built-in brackets – the stored copy only carries the edits made in the page.
+export function tableVersionsFor(country, stored) {
+  const builtin = YUNEXPRESS_TABLES[country];
+  const list = ((stored && stored[country]) || []).map((t) => (builtin && t.version === builtin.version ? { ...t, lines: builtin.lines } : t));
+  if (builtin && !list.some((t) => t.version === builtin.version)) list.unshift(builtin);
+  return list.sort((a, b) => String(a.effectiveDate || '').localeCompare(String(b.effectiveDate || '')));
+}
+
+// Latest version whose effective date is on or before `date`; undated versions are always in force.
+export function pickEffectiveTable(versions, date) {
+  const d = String(date || '').slice(0, 10) || todayISO();
+  let best = null;
+  for (const t of versions) {
+    const e = String(t.effectiveDate || '');
+    if (e <= d && (!best || e >= String(best.effectiveDate || ''))) best = t;
+  }
+  return best;
+}
+
+export function resolveRateTables(stored, date) {
+  const out = {};
+  const countries = new Set([...Object.keys(YUNEXPRESS_TABLES), ...Object.keys(stored || {})]);
+  for (const c of countries) {
+    const t = pickEffectiveTable(tableVersionsFor(c, stored), date);
+    if (t) out[c] = t;
+  }
+  return out;
+}
+
+// v1 stored one imported table per country; v2 stores a list of versions.
+export function migrateStoredRateTables(raw, legacyRaw) {
+  if (raw) return JSON.parse(raw);
+  if (!legacyRaw) return {};
+  const legacy = JSON.parse(legacyRaw);
+  const out = {};
+  for (const [c, t] of Object.entries(legacy || {})) {
+    const importedAt = (t.source && t.source.importedAt) || '';
+    out[c] = [{ ...t, version: t.version || (t.source ? `import-${importedAt.slice(0, 10)}` : 'builtin-1'), effectiveDate: t.effectiveDate || importedAt.slice(0, 10) }];
+  }
+  return out;
+}
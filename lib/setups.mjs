@@ -0,0 +1,446 @@
+/**
+ * Saved setups outside the page: spreadsheet records → setup rows, quoted with the
+ * same computeQuote the Calculated card uses. Shared by the batch CLI and imports.
+ */
+import { parseCSV, csvRecords } from './csv.mjs';
+import { normalizeCountryName } from './priceSheet.mjs';
+import { DEFAULT_COUNTRY, DEFAULT_RATES } from './rates.mjs';
+import {
+  QUOTE_INPUT_DEFAULTS, computeQuote, validateQuoteInput, quoteInputFrom, rateVersionOf, derivedFromQuote,
+} from './quote.mjs';
+
+// -----------------------------
+// Spreadsheet records → setups
+// -----------------------------
+// Column names are matched case-insensitively, ignoring spaces/underscores. rowsToCSV headers
+// work as-is, so an exported "saved (CSV)" file can be quoted again.
+export const SETUP_COLUMN_ALIASES = {
+  id: ['id'],
+  name: ['name', 'sku', 'setup', 'product'],
+  country: ['country', 'destination', 'dest'],
+  pricingMode: ['pricingmode', 'mode', 'pricing'],
+  units: ['units', 'unit'],
+  styleId: ['styleid', 'style'],
+  L: ['l', 'length'], W: ['w', 'width'], H: ['h', 'height'],
+  boardMM: ['boardmm', 'board', 'boardthickness'],
+  divisorId: ['divisorid', 'divisor'],
+  battery: ['battery', 'builtinbattery', 'line'],
+  actualW: ['actualw', 'actualweight', 'weight', 'grossweight'],
+  qty: ['qty', 'quantity'],
+  unitWeight: ['unitweight', 'weightperunit'],
+  unitsPerBox: ['unitsperbox', 'perbox'],
+  priceUSD: ['priceusd', 'price'],
+  productCostUSD: ['productcostusd', 'productcost', 'cogs'],
+  variableFeePct: ['variablefeepct', 'variablefee'],
+  refundFeePct: ['refundfeepct', 'refundfee'],
+  targetMarginPct: ['targetmarginpct', 'targetmargin'],
+  feeProfile: ['feeprofile', 'marketplace', 'channel'],
+  feeCategory: ['feecategory', 'category'],
+  customFeeFixedUSD: ['customfeefixedusd', 'fixedfee'],
+  customFeeMinUSD: ['customfeeminusd', 'minfee'],
+  declaredValueUSD: ['declaredvalueusd', 'declaredvalue', 'customsvalue'],
+  hsCode: ['hscode', 'hs', 'hts', 'tariffcode'],
+  dutyPct: ['dutypct', 'dutyrate', 'duty'],
+  boardGrade: ['boardgrade', 'grade', 'material'],
+  boardPricePerM2USD: ['boardpriceperm2usd', 'boardprice', 'priceperm2'],
+  boxOrderQty: ['boxorderqty', 'boxorder', 'moq'],
+  postcode: ['postcode', 'zip', 'postalcode'],
+  tags: ['tags', 'tag', 'labels'],
+  shipDate: ['shipdate', 'date'],
+  perKgCNY: ['perkgcny'], minChargeCNY: ['minchargecny'], cnyPerUSD: ['cnyperusd', 'fx'],
+};
+
+const RATE_COLUMNS = ['perKgCNY', 'minChargeCNY', 'cnyPerUSD'];
+const columnKey = (h) => String(h).toLowerCase().replace(/[\s_-]+/g, '');
+
+// yes/no, true/false, 1/0 and the line names; anything else is left for validation to reject.
+export function parseBatteryCell(v) {
+  if (typeof v === 'boolean') return v;
+  const s = String(v ?? '').trim().toLowerCase();
+  if (['', 'no', 'n', 'false', '0', 'no battery', 'none'].includes(s)) return false;
+  if (['yes', 'y', 'true', '1', 'battery', 'built-in battery'].includes(s)) return true;
+  return v;
+}
+
+/** One spreadsheet record ({ header: cell }) → setup fields; blank cells are omitted. */
+export function setupFromRecord(record) {
+  const byKey = {};
+  for (const [h, v] of Object.entries(record || {})) byKey[columnKey(h)] = typeof v === 'string' ? v.trim() : v;
+  const setup = {};
+  const rates = {};
+  for (const [field, aliases] of Object.entries(SETUP_COLUMN_ALIASES)) {
+    const hit = aliases.find((a) => byKey[a] !== undefined && byKey[a] !== '');
+    if (!hit) continue;
+    if (RATE_COLUMNS.includes(field)) rates[field] = byKey[hit];
+    else setup[field] = byKey[hit];
+  }
+  if ('battery' in setup) setup.battery = parseBatteryCell(setup.battery);
+  if ('country' in setup) setup.country = normalizeCountryName(setup.country);
+  if ('units' in setup) setup.units = String(setup.units).toLowerCase();
+  if ('pricingMode' in setup) setup.pricingMode = String(setup.pricingMode).toLowerCase();
+  if ('feeProfile' in setup) setup.feeProfile = String(setup.feeProfile).toLowerCase();
+  if ('boardGrade' in setup) setup.boardGrade = String(setup.boardGrade).toLowerCase();
+  if ('hsCode' in setup) setup.hsCode = String(setup.hsCode); // spreadsheets store codes as numbers
+  if ('tags' in setup) setup.tags = normalizeTags(setup.tags);
+  if (Object.keys(rates).length) setup.rates = rates;
+  return setup;
+}
+
+export function newRowId() {
+  return `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/** Setup validation – the quote input rules (the box style is a quote input since board costing). */
+export function validateSetup(setup) {
+  return validateQuoteInput(setup);
+}
+
+/**
+ * Quote one setup → a saved-row shape (the page's buildRow + derived), or the setup
+ * with `error` / `errors` when it does not validate.
+ */
+export function quoteSetup(setup, { tables, quotedAt = new Date().toISOString() } = {}) {
+  const errors = validateSetup(setup);
+  if (errors.length) {
+    return { ...setup, errors, error: errors.map((e) => `${e.field}: ${e.message}`).join('; ') };
+  }
+  const input = quoteInputFrom(setup);
+  const q = computeQuote(input, { tables });
+  const p = q.parsed;
+  return {
+    schemaVersion: SETUP_SCHEMA_VERSION,
+    ...(setup.id ? { id: String(setup.id) } : {}),
+    name: setup.name || '',
+    country: input.country, pricingMode: input.pricingMode, postcode: input.postcode, shipDate: input.shipDate,
+    units: q.units, styleId: q.styleId, L: p.L, W: p.W, H: p.H, boardMM: p.boardMM,
+    divisorId: q.divisorObj.id, battery: !!input.battery, actualW: p.actualW,
+    qty: p.qty, unitWeight: p.unitWeight, unitsPerBox: p.unitsPerBox,
+    priceUSD: Number(input.priceUSD) || 0, productCostUSD: Number(input.productCostUSD) || 0,
+    variableFeePct: Number(input.variableFeePct) || 0, refundFeePct: Number(input.refundFeePct) || 0,
+    targetMarginPct: Number(input.targetMarginPct) || 0,
+    feeProfile: q.feeProfile, feeCategory: input.feeCategory || '',
+    customFeeFixedUSD: Number(input.customFeeFixedUSD) || 0, customFeeMinUSD: Number(input.customFeeMinUSD) || 0,
+    declaredValueUSD: Number(input.declaredValueUSD) || 0, hsCode: q.hsCode, dutyPct: q.dutyPct,
+    boardGrade: q.boardGrade, boardPricePerM2USD: Number(input.boardPricePerM2USD) || 0,
+    boxOrderQty: Math.floor(Number(input.boxOrderQty) || 0),
+    rates: Object.fromEntries(Object.entries(q.rates).map(([k, v]) => [k, Number(v)])),
+    tags: normalizeTags(setup.tags),
+    rateVersion: rateVersionOf(q),
+    quotedAt,
+    derived: derivedFromQuote(q),
+  };
+}
+
+// -----------------------------
+// Saved list import (round-trip with "Download saved (CSV)")
+// -----------------------------
+/**
+ * CSV text → { rows, errors }. rows are quoted saved rows (ids only where the file has them);
+ * errors are [{ line, name, message }] with the spreadsheet line number.
+ * `defaults` fill blank cells (e.g. the page's manual rates); rows keep their own ship date.
+ */
+export function setupsFromCSV(text, { tables, defaults = {}, quotedAt } = {}) {
+  const records = csvRecords(parseCSV(text));
+  const rows = [];
+  const errors = [];
+  if (!records.length) errors.push({ line: 1, name: '', message: 'No rows found – expected a header row and one setup per line' });
+  records.forEach((rec, i) => {
+    const setup = setupFromRecord(rec);
+    const withDefaults = { ...defaults, ...setup, rates: { ...(defaults.rates || {}), ...(setup.rates || {}) } };
+    const row = quoteSetup(withDefaults, { tables, quotedAt });
+    if (row.error) errors.push({ line: i + 2, name: setup.name || '', message: row.error });
+    else rows.push({ ...row, name: row.name || `Imported ${i + 1}` });
+  });
+  return { rows, errors };
+}
+
+/**
+ * Fold imported rows into the saved list. 'merge' replaces rows with the same id (or, for
+ * rows without an id, the same name) and puts new ones first; 'replace' drops the old list.
+ * Rows that arrive without an id get one here.
+ */
+export function mergeSavedRows(saved, incoming, mode) {
+  const withId = (row) => (row.id ? row : { ...row, id: newRowId() });
+  if (mode === 'replace') return { list: incoming.map(withId), added: incoming.length, updated: 0 };
+  const list = [...saved];
+  const fresh = [];
+  let updated = 0;
+  for (const row of incoming) {
+    const at = row.id ? list.findIndex((r) => r.id === row.id) : list.findIndex((r) => r.name === row.name);
+    if (at >= 0) { list[at] = { ...row, id: list[at].id }; updated++; }
+    else fresh.push(withId(row));
+  }
+  return { list: [...fresh, ...list], added: fresh.length, updated };
+}
+
+// -----------------------------
+// Saved setup schema – versioned rows, migrated forward on load/import
+// -----------------------------
+// v1: box only (units, style, L/W/H, board, divisor, battery, actual weight)
+// v2: + qty, price/cost/fee inputs and the manual per-kg `rates`
+// v3: + country, pricingMode (storage key box_setups_v3)
+// v4: + postcode, shipDate, unitWeight, unitsPerBox, rateVersion, quotedAt; `schemaVersion` on every row
+// v5: + targetMarginPct (price solver)
+// v6: + feeProfile, feeCategory, customFeeFixedUSD, customFeeMinUSD (variableFeePct = Custom profile %)
+// v7: + declaredValueUSD, hsCode, dutyPct (landed cost)
+// v8: + boardGrade, boardPricePerM2USD, boxOrderQty (packaging cost)
+export const SETUP_SCHEMA_VERSION = 8;
+
+// field → [type, required]; 'null' allows null alongside the type
+export const SETUP_SCHEMA = {
+  schemaVersion: ['number', true], id: ['string', true], name: ['string', true],
+  country: ['string', true], pricingMode: ['string', true], postcode: ['string'], shipDate: ['string'],
+  units: ['string', true], styleId: ['string', true],
+  L: ['number', true], W: ['number', true], H: ['number', true], boardMM: ['number', true],
+  divisorId: ['string', true], battery: ['boolean', true], actualW: ['number', true],
+  qty: ['number', true], unitWeight: ['number'], unitsPerBox: ['number'],
+  priceUSD: ['number', true], productCostUSD: ['number', true], variableFeePct: ['number', true], refundFeePct: ['number', true],
+  targetMarginPct: ['number', true],
+  feeProfile: ['string', true], feeCategory: ['string', true], customFeeFixedUSD: ['number', true], customFeeMinUSD: ['number', true],
+  declaredValueUSD: ['number', true], hsCode: ['string', true], dutyPct: ['number', true],
+  boardGrade: ['string', true], boardPricePerM2USD: ['number', true], boxOrderQty: ['number', true],
+  rates: ['object', true], rateVersion: ['object|null'], quotedAt: ['string|null'], derived: ['object'],
+  tags: ['array'],
+};
+
+// Rows written before v4 carry no version; infer it from the fields each version introduced.
+export function setupSchemaVersionOf(row) {
+  if (Number.isInteger(row.schemaVersion)) return row.schemaVersion;
+  if ('country' in row || 'pricingMode' in row) return 3;
+  if ('qty' in row || 'rates' in row) return 2;
+  return 1;
+}
+
+// SETUP_MIGRATIONS[n] upgrades a v(n) row to v(n+1).
+export const SETUP_MIGRATIONS = {
+  1: (row) => ({
+    ...row, qty: 1, priceUSD: 0, productCostUSD: 0, variableFeePct: 0, refundFeePct: 0, rates: { ...DEFAULT_RATES },
+  }),
+  2: (row) => ({ ...row, country: DEFAULT_COUNTRY, pricingMode: 'sheet' }), // v2 only priced the US sheet
+  3: (row) => ({
+    postcode: '', shipDate: '', unitWeight: 0, unitsPerBox: 0, rateVersion: null, quotedAt: null,
+    ...row,
+  }),
+  4: (row) => ({ targetMarginPct: QUOTE_INPUT_DEFAULTS.targetMarginPct, ...row }),
+  5: (row) => ({ feeProfile: 'custom', feeCategory: '', customFeeFixedUSD: 0, customFeeMinUSD: 0, ...row }), // keeps the old variable %
+  6: (row) => ({ declaredValueUSD: 0, hsCode: '', dutyPct: 0, ...row }),
+  7: (row) => ({ boardGrade: 'custom', boardPricePerM2USD: 0, boxOrderQty: QUOTE_INPUT_DEFAULTS.boxOrderQty, ...row }), // no board cost until priced
+};
+
+// Rows saved before the page converted its inputs hold numbers as the form's strings ("12.5",
+// "" for a cleared field); any version can carry them, so they are converted after migrating.
+const NUMBER_FIELDS = Object.keys(SETUP_SCHEMA).filter((f) => SETUP_SCHEMA[f][0] === 'number' && f !== 'schemaVersion');
+
+function numbersFromStrings(row) {
+  const out = { ...row };
+  for (const f of NUMBER_FIELDS) {
+    if (typeof out[f] !== 'string') continue;
+    const n = out[f].trim() === '' ? 0 : Number(out[f]);
+    if (Number.isFinite(n)) out[f] = n; // anything else stays a string for the schema check to report
+  }
+  if (out.rates && typeof out.rates === 'object') {
+    out.rates = Object.fromEntries(Object.entries(out.rates).map(([k, v]) => [k, typeof v === 'string' && Number.isFinite(Number(v)) ? Number(v) : v]));
+  }
+  return out;
+}
+
+/** Upgrade one row to SETUP_SCHEMA_VERSION. Returns { row, from } or { error } for unknown versions. */
+export function migrateSetup(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'is not an object' };
+  const from = setupSchemaVersionOf(input);
+  if (from > SETUP_SCHEMA_VERSION) return { error: `schema version ${from} is newer than this app (${SETUP_SCHEMA_VERSION})` };
+  if (from < 1) return { error: `unknown schema version ${from}` };
+  let row = input;
+  for (let v = from; v < SETUP_SCHEMA_VERSION; v++) row = SETUP_MIGRATIONS[v](row);
+  return { row: numbersFromStrings({ ...row, schemaVersion: SETUP_SCHEMA_VERSION }), from };
+}
+
+/** Type/required check against SETUP_SCHEMA (value ranges are validateSetup's job). */
+export function checkSetupSchema(row) {
+  const errors = [];
+  for (const [field, [type, required]] of Object.entries(SETUP_SCHEMA)) {
+    const v = row[field];
+    if (v === undefined) { if (required) errors.push({ field, message: 'is required' }); continue; }
+    const actual = v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v;
+    if (!type.split('|').includes(actual)) errors.push({ field, message: `must be ${type.replace('|', ' or ')}` });
+  }
+  return errors;
+}
+
+/**
+ * JSON text → { kind: 'single' | 'list', rows, errors, migrated }. Accepts one setup (Download
+ * setup), an array of setups or { schemaVersion, setups }. Rows are migrated, checked and
+ * re-quoted; errors are [{ item, name, message }] with the 1-based position in the file.
+ */
+export function setupsFromJSON(text, { tables, quotedAt } = {}) {
+  let data;
+  try { data = JSON.parse(text); } catch (e) { return { kind: 'list', rows: [], errors: [{ item: 0, name: '', message: `Not valid JSON: ${e.message}` }], migrated: 0 }; }
+  const single = !!data && typeof data === 'object' && !Array.isArray(data) && !Array.isArray(data.setups);
+  const items = single ? [data] : Array.isArray(data) ? data : data && data.setups;
+  if (!Array.isArray(items)) return { kind: 'list', rows: [], errors: [{ item: 0, name: '', message: 'Expected a setup, an array of setups or { setups: [...] }' }], migrated: 0 };
+  const rows = [];
+  const errors = [];
+  let migrated = 0;
+  items.forEach((item, i) => {
+    const name = item && typeof item.name === 'string' ? item.name : '';
+    const { row, from, error } = migrateSetup(item);
+    if (error) { errors.push({ item: i + 1, name, message: error }); return; }
+    const schemaErrors = checkSetupSchema({ ...row, id: row.id ?? '', name: row.name ?? '' });
+    if (schemaErrors.length) {
+      errors.push({ item: i + 1, name, message: schemaErrors.map((e) => `${e.field}: ${e.message}`).join('; ') });
+      return;
+    }
+    const quoted = quoteSetup(row, { tables, quotedAt });
+    if (quoted.error) { errors.push({ item: i + 1, name, message: quoted.error }); return; }
+    if (from < SETUP_SCHEMA_VERSION) migrated++;
+    rows.push({ ...quoted, name: row.name || `Imported ${i + 1}` });
+  });
+  return { kind: single ? 'single' : 'list', rows, errors, migrated };
+}
+
+/** Saved list from localStorage: the current key, else the newest legacy key, migrated. */
+export function migrateStoredSetups(raw, legacyRaws = []) {
+  const source = raw || legacyRaws.find(Boolean);
+  if (!source) return [];
+  const data = JSON.parse(source);
+  const list = Array.isArray(data) ? data : (data && data.setups) || [];
+  return list.map((r) => migrateSetup(r).row).filter(Boolean);
+}
+
+/** The saved list as a versioned JSON document (what setupsFromJSON reads back). */
+export function savedSetupsToJSON(rows) {
+  return JSON.stringify({ schemaVersion: SETUP_SCHEMA_VERSION, setups: rows }, null, 2);
+}
+
+// -----------------------------
+// Share links – the whole form in the URL hash (#units=cm&L=30&…)
+// -----------------------------
+// Same names as the CSV columns, so setupFromRecord parses them back.
+export const SHARE_FIELDS = [
+  'units', 'styleId', 'L', 'W', 'H', 'boardMM', 'divisorId', 'battery', 'actualW',
+  'country', 'pricingMode', 'postcode', 'shipDate',
+  'qty', 'unitWeight', 'unitsPerBox', 'priceUSD', 'productCostUSD', 'variableFeePct', 'refundFeePct', 'targetMarginPct',
+  'feeProfile', 'feeCategory', 'customFeeFixedUSD', 'customFeeMinUSD',
+  'declaredValueUSD', 'hsCode', 'dutyPct', 'boardGrade', 'boardPricePerM2USD', 'boxOrderQty',
+];
+
+/** Form state → URLSearchParams string (blank fields left out; battery as 1/0). */
+export function setupToShareParams(setup) {
+  const params = new URLSearchParams();
+  for (const f of SHARE_FIELDS) {
+    const v = setup[f];
+    if (v === undefined || v === null || v === '') continue;
+    params.set(f, typeof v === 'boolean' ? (v ? '1' : '0') : String(v));
+  }
+  for (const [k, v] of Object.entries(setup.rates || {})) if (v !== '' && v != null) params.set(k, String(v));
+  return params.toString();
+}
+
+/**
+ * URL hash/query → { setup, errors }. Only fields present in the link are returned; invalid ones
+ * are dropped and reported so the rest of the link still applies.
+ */
+export function setupFromShareParams(search) {
+  const params = new URLSearchParams(String(search || '').replace(/^[#?]/, ''));
+  const setup = setupFromRecord(Object.fromEntries(params));
+  const errors = validateSetup(setup).filter((e) => !(e.message === 'is required' && setup[e.field] === undefined));
+  for (const { field } of errors) {
+    const [head, key] = field.split('.');
+    if (key && setup.rates) delete setup.rates[key];
+    else delete setup[head];
+  }
+  // The page keeps rates as numbers (its rate inputs convert); every other field fills a form input
+  if (setup.rates) setup.rates = Object.fromEntries(Object.entries(setup.rates).map(([k, v]) => [k, Number(v)]));
+  return { setup, errors };
+}
+
+// -----------------------------
+// Saved list – tags, search, filters, sorting
+// -----------------------------
+// Tags: free-form labels (supplier, product line); "a, b; c" or an array → unique trimmed list.
+export function normalizeTags(v) {
+  const list = Array.isArray(v) ? v : String(v ?? '').split(/[,;]/);
+  return [...new Set(list.map((t) => String(t).trim()).filter(Boolean))];
+}
+
+export const SAVED_SORTS = [
+  { id: 'saved', label: 'Saved order' },
+  { id: 'name', label: 'Name' },
+  { id: 'shippingCNY', label: 'Shipping (CNY)' },
+  { id: 'chargeableKg', label: 'Chargeable kg' },
+  { id: 'costPerUnitUSD', label: 'Cost / unit (USD)' },
+];
+
+// filters: { query, battery: 'all' | 'yes' | 'no', country: 'all' | name, styleId: 'all' | id, tag: '' | tag }
+export function filterSavedRows(rows, { query = '', battery = 'all', country = 'all', styleId = 'all', tag = '' } = {}) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return rows.filter((r) => {
+    if (battery !== 'all' && !!r.battery !== (battery === 'yes')) return false;
+    if (country !== 'all' && r.country !== country) return false;
+    if (styleId !== 'all' && r.styleId !== styleId) return false;
+    if (tag && !(r.tags || []).includes(tag)) return false;
+    if (!words.length) return true;
+    const text = [r.name, r.country, r.styleId, r.pricingMode, `${r.L}x${r.W}x${r.H}`, ...(r.tags || [])].join(' ').toLowerCase();
+    return words.every((w) => text.includes(w));
+  });
+}
+
+// Numeric sorts put rows without a shippable quote last, whatever the direction.
+export function sortSavedRows(rows, sortId = 'saved', dir = 'asc') {
+  if (sortId === 'saved') return dir === 'asc' ? rows : [...rows].reverse();
+  const sign = dir === 'asc' ? 1 : -1;
+  if (sortId === 'name') return [...rows].sort((a, b) => sign * String(a.name).localeCompare(String(b.name)));
+  const value = (r) => {
+    const d = r.derived;
+    if (!d || d.shippable === false || !Number.isFinite(Number(d[sortId]))) return null;
+    return Number(d[sortId]);
+  };
+  return [...rows].sort((a, b) => {
+    const va = value(a); const vb = value(b);
+    if (va === null || vb === null) return (va === null) - (vb === null);
+    return sign * (va - vb);
+  });
+}
+
+export function duplicateSetup(row) {
+  return { ...row, id: newRowId(), name: `${row.name} (copy)`, tags: [...(row.tags || [])] };
+}
+
+// -----------------------------
+// Workspace files – one project (name + saved setups) as a single JSON document
+// -----------------------------
+export const WORKSPACE_FILE_KIND = 'box-designer-workspace';
+
+export function workspaceToJSON(ws, rows) {
+  return JSON.stringify({
+    kind: WORKSPACE_FILE_KIND, schemaVersion: SETUP_SCHEMA_VERSION,
+    workspace: { name: ws.name, createdAt: ws.createdAt, exportedAt: new Date().toISOString() },
+    setups: rows,
+  }, null, 2);
+}
+
+/**
+ * Workspace file → { name, rows, errors, migrated }. Rows are migrated and schema-checked but
+ * keep their saved prices (re-quote after importing to refresh them).
+ */
+export function workspaceFromJSON(text) {
+  const data = JSON.parse(text);
+  if (!data || data.kind !== WORKSPACE_FILE_KIND || !Array.isArray(data.setups)) {
+    throw new Error('Not a workspace file (expected an export from "Export workspace")');
+  }
+  const rows = [];
+  const errors = [];
+  let migrated = 0;
+  data.setups.forEach((item, i) => {
+    const { row, from, error } = migrateSetup(item);
+    const problems = error ? [{ field: '', message: error }] : checkSetupSchema(row);
+    if (problems.length) {
+      errors.push({ item: i + 1, name: (item && item.name) || '', message: problems.map((e) => `${e.field}: ${e.message}`).join('; ') });
+      return;
+    }
+    if (from < SETUP_SCHEMA_VERSION) migrated++;
+    rows.push(row);
+  });
+  const name = String((data.workspace && data.workspace.name) || 'Imported workspace');
+  return { name, rows, errors, migrated };
+}
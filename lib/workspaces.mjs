@@ -0,0 +1,134 @@
+/**
+ * Project workspaces in IndexedDB (browser only). Each workspace keeps its saved setups as
+ * separate records, so a change writes the rows that changed instead of the whole list.
+ *
+ * Stores:
+ *  - workspaces: { id, name, createdAt, updatedAt, order: [setup ids, saved-list order] }
+ *  - setups:     saved rows + workspaceId, key [workspaceId, id], index byWorkspace
+ */
+import { migrateSetup, newRowId } from './setups.mjs';
+
+const DB_NAME = 'box-designer';
+const DB_VERSION = 1;
+
+export function openWorkspaceDB() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') { reject(new Error('IndexedDB is not available in this browser')); return; }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains('workspaces')) db.createObjectStore('workspaces', { keyPath: 'id' });
+      if (!db.objectStoreNames.contains('setups')) {
+        const setups = db.createObjectStore('setups', { keyPath: ['workspaceId', 'id'] });
+        setups.createIndex('byWorkspace', 'workspaceId');
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error('Storage is blocked by another open tab – close it and reload'));
+  });
+}
+
+// Run fn(stores) in one transaction; resolves with fn's result once the transaction commits.
+function transact(db, names, mode, fn) {
+  return new Promise((resolve, reject) => {
+    let result;
+    let t;
+    try {
+      t = db.transaction(names, mode);
+      result = fn(...names.map((n) => t.objectStore(n)));
+    } catch (e) { reject(e); return; }
+    t.oncomplete = () => resolve(result && typeof result.get === 'function' ? result.get() : result);
+    t.onerror = (ev) => reject((ev.target && ev.target.error) || t.error);
+    t.onabort = () => reject(t.error || new Error('Storage transaction aborted'));
+  });
+}
+
+// Collects a request's result for transact() to return after commit.
+function later(req) {
+  let value;
+  req.onsuccess = () => { value = req.result; };
+  return { get: () => value };
+}
+
+// Changes `fields` of the stored workspace record (read in the same transaction), so a rename
+// and a save of the rows keep each other's fields whatever order they commit in.
+function updateWorkspace(wsStore, ws, fields) {
+  let next;
+  const req = wsStore.get(ws.id);
+  req.onsuccess = () => {
+    next = { ...(req.result || ws), ...fields, updatedAt: new Date().toISOString() };
+    wsStore.put(next);
+  };
+  return { get: () => next };
+}
+
+export function listWorkspaces(db) {
+  return transact(db, ['workspaces'], 'readonly', (ws) => later(ws.getAll()))
+    .then((list) => list.sort((a, b) => a.createdAt.localeCompare(b.createdAt)));
+}
+
+/** New workspace, optionally filled with rows (import / first-run migration). */
+export function createWorkspace(db, name, rows = []) {
+  const now = new Date().toISOString();
+  const ws = { id: newRowId(), name, createdAt: now, updatedAt: now, order: rows.map((r) => r.id) };
+  return transact(db, ['workspaces', 'setups'], 'readwrite', (wsStore, setups) => {
+    wsStore.put(ws);
+    for (const r of rows) setups.put({ ...r, workspaceId: ws.id });
+    return ws;
+  });
+}
+
+/** Stores the new name only. Returns the updated workspace record. */
+export function renameWorkspace(db, ws, name) {
+  return transact(db, ['workspaces'], 'readwrite', (wsStore) => updateWorkspace(wsStore, ws, { name }));
+}
+
+export function deleteWorkspace(db, ws) {
+  return transact(db, ['workspaces', 'setups'], 'readwrite', (wsStore, setups) => {
+    wsStore.delete(ws.id);
+    setups.delete(IDBKeyRange.bound([ws.id], [ws.id, []]));
+  });
+}
+
+/**
+ * Rows of a workspace in saved-list order (stored order; rows missing from it go last),
+ * migrated to the current setup schema.
+ */
+export function loadWorkspaceRows(db, ws) {
+  return transact(db, ['workspaces', 'setups'], 'readonly', (wsStore, setups) => {
+    const record = later(wsStore.get(ws.id));
+    const records = later(setups.index('byWorkspace').getAll(ws.id));
+    return { get: () => ({ order: (record.get() || ws).order, records: records.get() }) };
+  })
+    .then(({ order, records }) => {
+      const pos = new Map(order.map((id, i) => [id, i]));
+      return records
+        .map(({ workspaceId, ...row }) => migrateSetup(row).row || row)
+        .sort((a, b) => (pos.get(a.id) ?? Infinity) - (pos.get(b.id) ?? Infinity));
+    });
+}
+
+/**
+ * Persist a change of the saved list: puts rows whose object changed since `prevRows`,
+ * deletes removed ids and stores the new order. Returns the updated workspace record.
+ */
+export function saveWorkspaceRows(db, ws, prevRows, nextRows) {
+  const prev = new Map(prevRows.map((r) => [r.id, r]));
+  const nextIds = new Set(nextRows.map((r) => r.id));
+  return transact(db, ['workspaces', 'setups'], 'readwrite', (wsStore, setups) => {
+    for (const r of nextRows) if (prev.get(r.id) !== r) setups.put({ ...r, workspaceId: ws.id });
+    for (const id of prev.keys()) if (!nextIds.has(id)) setups.delete([ws.id, id]);
+    return updateWorkspace(wsStore, ws, { order: nextRows.map((r) => r.id) });
+  });
+}
+
+/** A storage failure as a sentence for the error banner. */
+export function describeStorageError(err) {
+  const name = err && err.name;
+  if (name === 'QuotaExceededError') return 'Browser storage is full – export and delete a workspace (or old setups) to free space.';
+  if (name === 'DataCloneError') return 'A setup could not be stored because it contains data the browser cannot save.';
+  if (name === 'SyntaxError') return 'Stored data could not be read, so it is left as is – changes are kept only until you close the page.';
+  if (name === 'InvalidStateError' || name === 'UnknownError') return 'Browser storage is unavailable (private browsing or a storage error) – changes are kept only until you close the page.';
+  return `Could not save to browser storage: ${(err && err.message) || err}`;
+}
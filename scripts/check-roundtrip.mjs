@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * Round-trip check: npm run check
+ *
+ * Saved rows as the page stores them – and as older builds stored them, with the form's
+ * strings in the numeric fields – are exported the way the app downloads them, imported back
+ * and compared. Exits 1 on the first mismatch.
+ */
+import assert from 'node:assert/strict';
+import { rowsToCSV } from '../lib/csv.mjs';
+import { resolveRateTables } from '../lib/rates.mjs';
+import {
+  quoteSetup, savedSetupsToJSON, setupsFromJSON, setupsFromCSV, workspaceToJSON, workspaceFromJSON,
+} from '../lib/setups.mjs';
+
+const tables = resolveRateTables({}, '2025-01-15');
+const quotedAt = '2025-01-15T00:00:00.000Z';
+
+// A saved row with edited price, cost, fee, customs and board fields
+const saved = quoteSetup({
+  id: 'row_1', name: 'Mailer, edited', country: 'United States', pricingMode: 'sheet', shipDate: '2025-01-15',
+  units: 'cm', styleId: 'ttm', L: 30, W: 22, H: 10, boardMM: 3, divisorId: 'cm8000', battery: false, actualW: 0.8,
+  qty: 4, unitWeight: 0.2, unitsPerBox: 4, priceUSD: 24.99, productCostUSD: 6.5, variableFeePct: 3, refundFeePct: 1,
+  targetMarginPct: 35, feeProfile: 'custom', feeCategory: '', customFeeFixedUSD: 0.3, customFeeMinUSD: 0.5,
+  declaredValueUSD: 12, hsCode: '4819.10', dutyPct: 2.5, boardGrade: 'custom', boardPricePerM2USD: 0.6, boxOrderQty: 1000,
+  tags: ['demo'],
+}, { tables, quotedAt });
+assert.equal(saved.error, undefined, saved.error);
+
+// What buildRow wrote before it converted its inputs: the numeric form fields and rates as strings
+const FORM_STRING_FIELDS = [
+  'priceUSD', 'productCostUSD', 'variableFeePct', 'refundFeePct', 'targetMarginPct', 'customFeeFixedUSD',
+  'customFeeMinUSD', 'declaredValueUSD', 'dutyPct', 'boardPricePerM2USD', 'boxOrderQty',
+].filter((f) => f in saved);
+const legacy = { ...saved, id: 'row_2', ...Object.fromEntries(FORM_STRING_FIELDS.map((f) => [f, String(saved[f])])) };
+legacy.refundFeePct = ''; // a cleared input
+legacy.rates = Object.fromEntries(Object.entries(saved.rates).map(([k, v]) => [k, String(v)]));
+
+const numericFields = Object.keys(saved).filter((f) => typeof saved[f] === 'number');
+function assertSameSetup(got, want, label) {
+  for (const f of numericFields) assert.strictEqual(got[f], want[f], `${label}: ${f}`);
+  for (const f of ['name', 'country', 'styleId', 'hsCode', 'boardGrade']) assert.strictEqual(got[f], want[f], `${label}: ${f}`);
+  assert.deepStrictEqual(got.rates, want.rates, `${label}: rates`);
+}
+
+// Download saved (JSON) → Import JSON
+{
+  const { rows, errors } = setupsFromJSON(savedSetupsToJSON([saved, legacy]), { tables, quotedAt });
+  assert.deepEqual(errors, []);
+  assertSameSetup(rows[0], saved, 'saved JSON');
+  assertSameSetup(rows[1], { ...saved, refundFeePct: 0 }, 'saved JSON (string fields)');
+}
+
+// Export workspace → Import workspace
+{
+  const ws = { id: 'ws_1', name: 'Demo', createdAt: quotedAt };
+  const { rows, errors } = workspaceFromJSON(workspaceToJSON(ws, [saved, legacy]));
+  assert.deepEqual(errors, []);
+  assert.equal(rows.length, 2);
+  assertSameSetup(rows[0], saved, 'workspace');
+  assertSameSetup(rows[1], { ...saved, refundFeePct: 0 }, 'workspace (string fields)');
+}
+
+// Download saved (CSV) → Import CSV, with a comma and a bare \r in the text cells and a lane
+// named with a comma (imported sheets can name them so)
+{
+  const manual = quoteSetup({
+    ...saved, id: 'row_3', name: 'Tray, large\rv2', country: 'Korea, Republic of', pricingMode: 'manual',
+    rates: { perKgCNY: 48, minChargeCNY: 0, cnyPerUSD: 7.2 },
+    tags: ['supplier a', 'tray'],
+  }, { tables, quotedAt });
+  assert.equal(manual.error, undefined, manual.error);
+  const { rows, errors } = setupsFromCSV(rowsToCSV([saved, manual]), { tables, quotedAt });
+  assert.deepEqual(errors, []);
+  assert.equal(rows.length, 2);
+  assertSameSetup(rows[0], saved, 'CSV');
+  assertSameSetup(rows[1], manual, 'CSV (comma, \\r)');
+  assert.deepEqual(rows[1].tags, manual.tags);
+}
+
+console.log('Round trip OK: saved JSON, workspace, CSV');
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * Batch quoting: npm run quote -- skus.csv [--out quoted.csv] [--date YYYY-MM-DD]
+ *
+ * Reads one SKU per row (CSV or XLSX; see SETUP_COLUMN_ALIASES in lib/setups.mjs for the
+ * accepted headers – at least L, W, H), prices each with the built-in rate tables in force on
+ * --date (default: today) and writes the "Download saved (CSV)" layout. Invalid rows are kept,
+ * with the validation message in `breakdown` and `invalid` in `shippable`; the exit code is 1
+ * when there are any.
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseCSV, csvRecords, rowsToCSV } from '../lib/csv.mjs';
+import { resolveRateTables, todayISO } from '../lib/rates.mjs';
+import { setupFromRecord, quoteSetup } from '../lib/setups.mjs';
+
+const USAGE = 'Usage: npm run quote -- <skus.csv|skus.xlsx> [--out quoted.csv] [--date YYYY-MM-DD]';
+
+function parseArgs(argv) {
+  const args = { file: null, out: null, date: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--out' || a === '-o') args.out = argv[++i];
+    else if (a === '--date') args.date = argv[++i];
+    else if (a === '--help' || a === '-h') args.help = true;
+    else if (!args.file) args.file = a;
+    else throw new Error(`Unexpected argument: ${a}`);
+  }
+  return args;
+}
+
+async function readRows(file) {
+  if (!/\.(xlsx|xls)$/i.test(file)) return parseCSV(await readFile(file, 'utf8'));
+  const XLSX = await import('xlsx');
+  const wb = XLSX.read(await readFile(file), { type: 'buffer' });
+  const first = wb.Sheets[wb.SheetNames[0]];
+  return XLSX.utils.sheet_to_json(first, { header: 1, raw: true, defval: '' });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.file) {
+    console.error(USAGE);
+    return args.help ? 0 : 2;
+  }
+  if (args.date && !/^\d{4}-\d{2}-\d{2}$/.test(args.date)) throw new Error('--date must be YYYY-MM-DD');
+  const date = args.date || todayISO();
+  const tables = resolveRateTables({}, date);
+
+  const records = csvRecords(await readRows(args.file));
+  const quotedAt = new Date().toISOString();
+  const rows = records.map((rec, i) => {
+    const setup = setupFromRecord(rec);
+    if (!setup.shipDate) setup.shipDate = date;
+    if (!setup.name) setup.name = `Row ${i + 2}`; // spreadsheet row number (header is row 1)
+    return quoteSetup(setup, { tables, quotedAt });
+  });
+
+  const csv = rowsToCSV(rows) + '\n';
+  if (args.out) await writeFile(args.out, csv);
+  else process.stdout.write(csv);
+
+  const invalid = rows.filter((r) => r.error);
+  const unshippable = rows.filter((r) => !r.error && r.derived.shippable === false);
+  console.error(`Quoted ${rows.length - invalid.length}/${rows.length} rows (${unshippable.length} not shippable) with rate tables for ${date}.`);
+  for (const r of invalid) console.error(`  ${r.name}: ${r.error}`);
+  return invalid.length ? 1 : 0;
+}
+
+main().then(
+  (code) => { process.exitCode = code; },
+  (err) => { console.error(err.message || err); process.exitCode = 2; },
+);